@@ -0,0 +1,53 @@
+import Promise from 'bluebird';
+import zlib from 'zlib';
+import hashContent from './hashContent';
+
+const algorithms = {
+    brotli: {
+        ext: '.br',
+        method: 'brotliCompress'
+    },
+    gzip: {
+        ext: '.gz',
+        method: 'gzip'
+    }
+};
+
+export default (opts) => {
+    const buffer = opts.buffer;
+    const compress = opts.compress === true ? {} : opts.compress;
+
+    if (!compress || buffer.length < (compress.threshold || 0)) {
+        return Promise.resolve([]);
+    }
+
+    if (compress.test && !compress.test.test(opts.relFileDest)) {
+        return Promise.resolve([]);
+    }
+
+    return Promise.map(compress.algorithms || ['gzip'], (name) => {
+        const algorithm = algorithms[name];
+
+        if (!algorithm) {
+            throw new Error('CopyWebpackPlugin: unknown compression algorithm ' + name);
+        }
+
+        // Brotli was added in Node.js 11.7
+        if (!zlib[algorithm.method]) {
+            throw new Error('CopyWebpackPlugin: ' + name + ' compression isn\'t supported by this version of Node.js');
+        }
+
+        return Promise
+            .fromNode((callback) => {
+                zlib[algorithm.method](buffer, callback);
+            })
+            .then((compressedBuffer) => {
+                return {
+                    buffer: compressedBuffer,
+                    ext: algorithm.ext,
+                    hash: hashContent(compressedBuffer),
+                    size: compressedBuffer.length
+                };
+            });
+    });
+};
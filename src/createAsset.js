@@ -0,0 +1,15 @@
+// Newer webpack versions expect assets to be instances of their RawSource
+export default (buffer, RawSource) => {
+    if (RawSource) {
+        return new RawSource(buffer);
+    }
+
+    return {
+        size () {
+            return buffer.length;
+        },
+        source () {
+            return buffer;
+        }
+    };
+};
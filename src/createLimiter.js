@@ -0,0 +1,38 @@
+import Promise from 'bluebird';
+
+// Runs at most `concurrency` of the given functions at a time
+export default (concurrency) => {
+    const queue = [];
+    let running;
+
+    running = 0;
+
+    const next = () => {
+        if (running >= concurrency || queue.length === 0) {
+            return;
+        }
+
+        const job = queue.shift();
+
+        running++;
+
+        Promise
+            .try(job.fn)
+            .finally(() => {
+                running--;
+                next();
+            })
+            .then(job.resolve, job.reject);
+    };
+
+    return (fn) => {
+        return new Promise((resolve, reject) => {
+            queue.push({
+                fn,
+                reject,
+                resolve
+            });
+            next();
+        });
+    };
+};
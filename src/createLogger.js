@@ -0,0 +1,21 @@
+/* eslint-disable no-console */
+const levels = ['silent', 'warn', 'info', 'debug'];
+
+// Logs messages up to logLevel, each starting with the plugin name and the prefix
+export default (logLevel, prefix) => {
+    const maxLevel = levels.indexOf(logLevel);
+
+    const createLog = (level, write) => {
+        return (message) => {
+            if (levels.indexOf(level) <= maxLevel) {
+                write('CopyWebpackPlugin: ' + prefix + message);
+            }
+        };
+    };
+
+    return {
+        debug: createLog('debug', console.log),
+        info: createLog('info', console.log),
+        warn: createLog('warn', console.warn)
+    };
+};
@@ -0,0 +1,10 @@
+// Webpack 5 removes assets through the compilation, so it forgets their info as well
+export default (compilation, assetPath) => {
+    if (!compilation.deleteAsset) {
+        delete compilation.assets[assetPath];
+
+        return;
+    }
+
+    compilation.deleteAsset(assetPath);
+};
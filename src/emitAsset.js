@@ -0,0 +1,14 @@
+// Webpack 5 adds assets through the compilation, and only updates the assets it already has
+export default (compilation, assetPath, asset) => {
+    if (!compilation.emitAsset) {
+        compilation.assets[assetPath] = asset;
+
+        return;
+    }
+
+    if (compilation.getAsset(assetPath)) {
+        compilation.updateAsset(assetPath, asset);
+    } else {
+        compilation.emitAsset(assetPath, asset);
+    }
+};
@@ -0,0 +1,59 @@
+import minimatch from 'minimatch';
+import path from 'path';
+import getGlobFileDest from './getGlobFileDest';
+import isNegated from './isNegated';
+import readArchiveEntries from './readArchiveEntries';
+import shouldIgnore from './shouldIgnore';
+
+// Archive entries are copied like files matched by a glob, relative to the archive
+export default (opts) => {
+    const absArchiveSrc = opts.absArchiveSrc;
+    const pattern = opts.pattern;
+    const relSrc = opts.relSrc || '**';
+
+    return readArchiveEntries(absArchiveSrc, {
+        // Entries are filtered before they are read, so only matching entries are decompressed
+        filter (entryPath) {
+            if (!minimatch(entryPath, relSrc, opts.globOpts)) {
+                return false;
+            }
+
+            if (shouldIgnore(entryPath, opts.ignoreList)) {
+                opts.logger.debug(path.join(absArchiveSrc, entryPath) + ' is ignored');
+                opts.excludedFiles.push(path.join(absArchiveSrc, entryPath));
+
+                return false;
+            }
+
+            // Negated globs are relative to the archive, like the glob of its entries
+            if (isNegated(path.join(absArchiveSrc, entryPath), {
+                context: absArchiveSrc,
+                negations: opts.negations
+            })) {
+                opts.logger.debug(path.join(absArchiveSrc, entryPath) + ' is excluded by a negated glob');
+                opts.excludedFiles.push(path.join(absArchiveSrc, entryPath));
+
+                return false;
+            }
+
+            return true;
+        },
+        limit: opts.limit
+    })
+    .map((entry) => {
+        const absFileSrc = path.join(absArchiveSrc, entry.path);
+
+        return {
+            absFileSrc,
+            content: entry.content,
+            relFileDest: getGlobFileDest(entry.path, {
+                context: absArchiveSrc,
+                outputPath: opts.outputPath,
+                pattern,
+                stat: null,
+                toTemplate: opts.toTemplate
+            }),
+            templateContext: pattern.flatten ? path.dirname(absFileSrc) : absArchiveSrc
+        };
+    });
+};
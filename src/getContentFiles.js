@@ -0,0 +1,31 @@
+import Promise from 'bluebird';
+import _ from 'lodash';
+import path from 'path';
+
+// Generated content is copied like a file, without a source on disk
+export default (opts) => {
+    const content = opts.content;
+
+    return Promise
+        .try(() => {
+            return _.isFunction(content) ? content() : content;
+        })
+        .then((generatedContent) => {
+            let relFileDest;
+
+            relFileDest = opts.relFileDest;
+
+            // Make sure the relative destination is actually relative
+            if (path.isAbsolute(relFileDest)) {
+                relFileDest = path.relative(opts.outputPath, relFileDest);
+            }
+
+            return [{
+                // Generated files are identified by their destination
+                absFileSrc: 'content:' + relFileDest,
+                content: Buffer.isBuffer(generatedContent) ? generatedContent : Buffer.from(String(generatedContent)),
+                relFileDest,
+                templateContext: opts.context
+            }];
+        });
+};
@@ -0,0 +1,66 @@
+import _ from 'lodash';
+import shouldIgnore from './shouldIgnore';
+import isNegated from './isNegated';
+import path from 'path';
+import readDirectoryFiles from './readDirectoryFiles';
+
+export default (opts) => {
+    const absDirSrc = opts.absDirSrc;
+    const relDirDest = opts.relDirDest;
+    const flatten = opts.flatten;
+    const ignoreList = opts.ignoreList;
+    const toTemplate = opts.toTemplate;
+
+    return readDirectoryFiles(absDirSrc, {
+        // Skip if it matches any of our ignore list
+        filter (absFileSrc) {
+            if (shouldIgnore(path.relative(absDirSrc, absFileSrc), ignoreList)) {
+                opts.logger.debug(absFileSrc + ' is ignored');
+                opts.excludedFiles.push(absFileSrc);
+
+                return false;
+            }
+
+            if (isNegated(absFileSrc, {
+                context: opts.context,
+                negations: opts.negations
+            })) {
+                opts.logger.debug(absFileSrc + ' is excluded by a negated glob');
+                opts.excludedFiles.push(absFileSrc);
+
+                return false;
+            }
+
+            return true;
+        },
+        limit: opts.limit,
+        symlinks: opts.symlinks
+    })
+    .map((absFileSrc) => {
+        let relFileDest;
+
+        const relFileSrc = path.relative(absDirSrc, absFileSrc);
+
+        relFileDest = path.join(relDirDest, relFileSrc);
+
+        // Templates are interpolated once the content is known
+        if (toTemplate) {
+            relFileDest = relDirDest;
+
+        // Remove any directory reference if flattening
+        } else if (flatten) {
+            relFileDest = path.join(relDirDest, path.basename(relFileDest));
+        }
+
+        // Make sure it doesn't start with the separator
+        if (_.head(relFileDest) === path.sep) {
+            relFileDest = relFileDest.slice(1);
+        }
+
+        return {
+            absFileSrc,
+            relFileDest,
+            templateContext: flatten ? path.dirname(absFileSrc) : absDirSrc
+        };
+    });
+};
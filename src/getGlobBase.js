@@ -0,0 +1,23 @@
+import _ from 'lodash';
+import path from 'path';
+
+/* eslint-disable import/no-commonjs */
+const glob = require('glob');
+/* eslint-enable */
+
+// The deepest directory of a glob that doesn't contain any magic
+export default (pattern, context, globOpts) => {
+    const segments = pattern.split(/[\\/]/);
+    const staticSegments = _.takeWhile(_.initial(segments), (segment) => {
+        return segment === '' || !glob.hasMagic(segment, globOpts);
+    });
+
+    const base = staticSegments.join('/');
+
+    // Absolute globs in the root directory have an empty base
+    if (!base && path.isAbsolute(pattern)) {
+        return path.resolve('/');
+    }
+
+    return path.resolve(context, base);
+};
@@ -0,0 +1,57 @@
+import path from 'path';
+import toLooksLikeDirectory from './toLooksLikeDirectory';
+
+// Maps a file matched by a glob, relative to the context, to its destination
+export default (relFileSrcParam, opts) => {
+    let relFileDest;
+    let relFileSrc;
+
+    const context = opts.context;
+    const outputPath = opts.outputPath;
+    const pattern = opts.pattern;
+    const stat = opts.stat;
+    const toTemplate = opts.toTemplate;
+
+    relFileSrc = relFileSrcParam;
+
+    relFileDest = pattern.to || '';
+
+    // Remove any directory references if flattening
+    if (pattern.flatten) {
+        relFileSrc = path.basename(relFileSrc);
+    }
+
+    const relFileDirname = path.dirname(relFileSrc);
+
+    // Templates are interpolated once the content is known
+    if (toTemplate) {
+        relFileDest = pattern.to;
+
+    // If the pattern is a blob
+    } else if (!stat) {
+        // If the source is absolute
+        if (path.isAbsolute(relFileSrc)) {
+            // Make the destination relative
+            relFileDest = path.join(path.relative(context, relFileDirname), path.basename(relFileSrc));
+
+        // If the source is relative
+        } else {
+            relFileDest = path.join(relFileDest, relFileSrc);
+        }
+
+    // If it looks like a directory
+    } else if (toLooksLikeDirectory(pattern)) {
+        // Make the path relative to the source
+        relFileDest = path.join(relFileDest, path.basename(relFileSrc));
+    }
+
+    // If there's still no relFileDest
+    relFileDest = relFileDest || path.basename(relFileSrc);
+
+    // Make sure the relative destination is actually relative
+    if (path.isAbsolute(relFileDest)) {
+        relFileDest = path.relative(outputPath, relFileDest);
+    }
+
+    return relFileDest;
+};
@@ -0,0 +1,47 @@
+import path from 'path';
+import getGlobFileDest from './getGlobFileDest';
+import isNegated from './isNegated';
+import readGlobFiles from './readGlobFiles';
+
+export default (opts) => {
+    const context = opts.context;
+    const pattern = opts.pattern;
+
+    return readGlobFiles(opts.relSrc, {
+        context: opts.globOpts.cwd,
+        excludedFiles: opts.excludedFiles,
+        filter (absFileSrc) {
+            if (isNegated(absFileSrc, {
+                context,
+                negations: opts.negations
+            })) {
+                opts.logger.debug(absFileSrc + ' is excluded by a negated glob');
+                opts.excludedFiles.push(absFileSrc);
+
+                return false;
+            }
+
+            return true;
+        },
+        globOpts: opts.globOpts,
+        ignoreList: opts.ignoreList,
+        limit: opts.limit,
+        logger: opts.logger,
+        symlinks: opts.symlinks
+    })
+    .map((relFileSrc) => {
+        const absFileSrc = path.resolve(context, relFileSrc);
+
+        return {
+            absFileSrc,
+            relFileDest: getGlobFileDest(relFileSrc, {
+                context,
+                outputPath: opts.outputPath,
+                pattern,
+                stat: opts.stat,
+                toTemplate: opts.toTemplate
+            }),
+            templateContext: pattern.flatten ? path.dirname(absFileSrc) : context
+        };
+    });
+};
@@ -0,0 +1,5 @@
+import crypto from 'crypto';
+
+export default (content) => {
+    return crypto.createHash('md5').update(content).digest('hex');
+};
@@ -1,90 +1,236 @@
 import _ from 'lodash';
 import path from 'path';
 import Promise from 'bluebird';
-import toLooksLikeDirectory from './toLooksLikeDirectory';
+import isTemplateLike from './isTemplateLike';
+import createLimiter from './createLimiter';
+import createLogger from './createLogger';
+import loadFile from './loadFile';
+import mergeFiles from './mergeFiles';
+import getArchiveFiles from './getArchiveFiles';
+import getContentFiles from './getContentFiles';
+import getDirectoryFiles from './getDirectoryFiles';
+import getGlobFiles from './getGlobFiles';
 import writeFileToAssets from './writeFileToAssets';
-import writeDirectoryToAssets from './writeDirectoryToAssets';
-import shouldIgnore from './shouldIgnore';
+import writeManifestToAssets from './writeManifestToAssets';
+import preserveStats from './preserveStats';
+import removeStaleAssets from './removeStaleAssets';
+import resolvePackage from './resolvePackage';
+import validateOptions from './validateOptions';
+import getGlobBase from './getGlobBase';
 
 /* eslint-disable import/no-commonjs */
-const globAsync = Promise.promisify(require('glob'));
+const glob = require('glob');
 const fs = Promise.promisifyAll(require('fs-extra'));
 /* eslint-enable */
 
-const union = (set1, set2) => {
-    return new Set([...set1, ...set2]);
+// Newer webpack versions track dependencies in sets instead of arrays
+const addDependencies = (trackedPaths, paths) => {
+    _.forEach(paths, (trackedPath) => {
+        if (_.isFunction(trackedPaths.add)) {
+            trackedPaths.add(trackedPath);
+        } else if (!_.includes(trackedPaths, trackedPath)) {
+            trackedPaths.push(trackedPath);
+        }
+    });
 };
 
-const isDevServer = (compiler) => {
-    return compiler.outputFileSystem.constructor.name === 'MemoryFileSystem';
-};
+const getOutputDir = (compiler, patterns, options) => {
+    if (options.outputPath) {
+        return options.outputPath;
+    }
 
-const getOutputDir = (compiler) => {
     if (compiler.options.output.path && compiler.options.output.path !== '/') {
         return compiler.options.output.path;
     }
 
     const devServer = compiler.options.devServer;
 
-    if (!devServer || !devServer.outputPath || devServer.outputPath === '/') {
-        throw new Error('CopyWebpackPlugin: to use webpack-dev-server, devServer.outputPath must be defined in the webpack config');
+    if (devServer && devServer.outputPath && devServer.outputPath !== '/') {
+        return devServer.outputPath;
+    }
+
+    // A real output path is only needed to write to disk or to make an absolute to relative
+    const hasAbsoluteTo = _.some(patterns, (pattern) => {
+        return _.isString(pattern.to) && path.isAbsolute(pattern.to);
+    });
+
+    if (options.writeToDisk || hasAbsoluteTo) {
+        throw new Error('CopyWebpackPlugin: output.path is /, so the outputPath option or devServer.outputPath must be defined');
     }
 
-    return devServer.outputPath;
+    return '/';
 };
 
 export default (patterns = [], options = {}) => {
-    if (!_.isArray(patterns)) {
-        throw new Error('CopyWebpackPlugin: patterns must be an array');
-    }
+    validateOptions(patterns, options);
 
     const apply = (compiler) => {
         const webpackContext = compiler.options.context;
-        const outputPath = getOutputDir(compiler);
+        const outputPath = getOutputDir(compiler, patterns, options);
         const fileDependencies = [];
         const contextDependencies = [];
         const webpackIgnore = options.ignore || [];
         const copyUnmodified = options.copyUnmodified;
-        let writtenAssets;
-        let lastGlobalUpdate;
-
-        lastGlobalUpdate = 0;
+        const limit = createLimiter(options.concurrency || 100);
+        const onCollision = options.onCollision || 'warn';
+        const logLevel = options.logLevel || 'warn';
+        const preserve = options.preserve || {};
+        const shouldWriteToDisk = _.isFunction(options.writeToDisk) ? options.writeToDisk : _.constant(Boolean(options.writeToDisk));
+
+        const webpack = compiler.webpack;
+        const RawSource = webpack && webpack.sources ? webpack.sources.RawSource : null;
+        // Webpack 5 adds assets while processing them, rather than just before emitting them
+        const processesAssets = Boolean(compiler.hooks && webpack && webpack.Compilation && webpack.Compilation.PROCESS_ASSETS_STAGE_ADDITIONAL);
+
+        // Each compiler resolves its own copy of the patterns, so they can be shared between compilers
+        const compilerPatterns = _.map(patterns, (pattern) => {
+            return _.assignIn({}, pattern, {
+                context: pattern.context ? path.resolve(webpackContext, pattern.context) : webpackContext
+            });
+        });
 
-        compiler.plugin('emit', (compilation, cb) => {
+        let writtenAssets;
+        let writtenStats;
+        let copiedFiles;
+        let previousCopiedFiles;
+        let copiedAssets;
+        let previousAssets;
+        let staleAssets;
+        let sourceHashes;
+        let previousSourceHashes;
+        let sourceFingerprints;
+        let previousSourceFingerprints;
+
+        previousCopiedFiles = new Map();
+        // Only webpack 5 needs the assets of unchanged files again
+        previousAssets = processesAssets ? new Map() : null;
+        previousSourceHashes = new Map();
+        previousSourceFingerprints = new Map();
+
+        const emit = (compilation, cb) => {
             writtenAssets = new Set();
-
-            Promise.each(patterns, (pattern) => {
-                let relDest;
-                let globOpts;
-
-                if (pattern.context && !path.isAbsolute(pattern.context)) {
-                    pattern.context = path.resolve(webpackContext, pattern.context);
-                }
-
-                const context = pattern.context || webpackContext;
+            writtenStats = new Map();
+            copiedFiles = new Map();
+            copiedAssets = processesAssets ? new Map() : null;
+            staleAssets = [];
+            sourceHashes = new Map();
+            sourceFingerprints = new Map();
+
+            // Patterns are loaded in parallel, sharing the cap on file system operations
+            Promise.map(compilerPatterns, (pattern, index) => {
+                const logger = createLogger(logLevel, 'patterns[' + index + '] ');
+                const context = pattern.context;
                 const ignoreList = webpackIgnore.concat(pattern.ignore || []);
-
-                globOpts = {
-                    cwd: context
+                // To can be a function mapping each file to its destination
+                const toFunction = _.isFunction(pattern.to) ? pattern.to : null;
+                const toPattern = toFunction ? _.omit(pattern, 'to') : pattern;
+                // Generated content is copied to to as is
+                const hasContent = !_.isUndefined(pattern.content);
+                // Merged files are copied to to as is
+                const toTemplate = !hasContent && !pattern.merge && isTemplateLike(toPattern);
+                const symlinks = pattern.symlinks || options.symlinks || 'follow';
+
+                // From can be an array of globs, where negated globs exclude files
+                const fromEntries = _.isArray(pattern.from) ? pattern.from : [hasContent ? {
+                    content: pattern.content
+                } : pattern.from];
+                const isNegation = (from) => {
+                    return _.isString(from) && _.head(from) === '!';
                 };
+                const negations = _.map(_.filter(fromEntries, isNegation), (from) => {
+                    return from.slice(1);
+                });
 
-                // From can be an object
-                if (pattern.from.glob) {
-                    globOpts = _.assignIn(globOpts, _.omit(pattern.from, 'glob'));
-                    pattern.from = pattern.from.glob;
-                }
-
-                const relSrc = pattern.from;
-                const absSrc = path.resolve(context, relSrc);
-
-                relDest = pattern.to || '';
-
-                const forceWrite = Boolean(pattern.force);
-
-                return fs
-                    .statAsync(absSrc)
-                    .catch(() => {
-                        return null;
+                // Absolute paths of from, to report patterns that match nothing
+                const absSources = [];
+                // Files matched by from but excluded by ignore, test or a negated glob
+                const excludedFiles = [];
+
+                // Packages are resolved first, and the rest of from is relative to their root
+                return Promise.map(_.reject(fromEntries, isNegation), (from) => {
+                    if (!from.package) {
+                        return {
+                            from,
+                            fromContext: context
+                        };
+                    }
+
+                    return resolvePackage(from.package, {
+                        context,
+                        limit
+                    })
+                    .then((packageRoot) => {
+                        return {
+                            from: _.assignIn(_.omit(from, ['package', 'path']), {
+                                glob: from.path || '.'
+                            }),
+                            fromContext: packageRoot
+                        };
+                    });
+                })
+                .map((entry) => {
+                    let relDest;
+                    let relSrc;
+                    let globOpts;
+
+                    const from = entry.from;
+                    const fromContext = entry.fromContext;
+
+                    globOpts = {
+                        cwd: fromContext
+                    };
+
+                    relSrc = from;
+
+                    if (hasContent) {
+                        return getContentFiles({
+                            content: from.content,
+                            context: fromContext,
+                            outputPath,
+                            relFileDest: pattern.to
+                        });
+                    }
+
+                    // From can be an archive, whose entries are copied like files matched by a glob
+                    if (from.archive) {
+                        const absArchiveSrc = path.resolve(fromContext, from.archive);
+
+                        absSources.push(absArchiveSrc);
+                        fileDependencies.push(absArchiveSrc);
+
+                        return getArchiveFiles({
+                            absArchiveSrc,
+                            excludedFiles,
+                            globOpts: _.omit(from, ['archive', 'glob']),
+                            ignoreList,
+                            limit,
+                            logger,
+                            negations,
+                            outputPath,
+                            pattern: toPattern,
+                            relSrc: from.glob,
+                            toTemplate
+                        });
+                    }
+
+                    // From can be an object
+                    if (from.glob) {
+                        globOpts = _.assignIn(globOpts, _.omit(from, 'glob'));
+                        relSrc = from.glob;
+                    }
+
+                    const absSrc = path.resolve(fromContext, relSrc);
+
+                    absSources.push(absSrc);
+
+                    relDest = toPattern.to || '';
+
+                    return limit(() => {
+                        return fs
+                            .statAsync(absSrc)
+                            .catch(() => {
+                                return null;
+                            });
                     })
                     .then((stat) => {
                         if (stat && stat.isDirectory()) {
@@ -95,142 +241,301 @@ export default (patterns = [], options = {}) => {
                                 relDest = path.relative(outputPath, relDest);
                             }
 
-                            return writeDirectoryToAssets({
+                            return getDirectoryFiles({
                                 absDirSrc: absSrc,
-                                compilation,
-                                copyUnmodified,
+                                context: fromContext,
+                                excludedFiles,
                                 flatten: pattern.flatten,
-                                forceWrite,
                                 ignoreList,
-                                lastGlobalUpdate,
-                                relDirDest: relDest
-                            })
-                            .then((assets) => {
-                                writtenAssets = union(writtenAssets, assets);
+                                limit,
+                                logger,
+                                negations,
+                                relDirDest: relDest,
+                                symlinks,
+                                toTemplate
                             });
                         }
 
-                        return globAsync(relSrc, globOpts)
-                            .each((relFileSrcParam) => {
-                                let relFileDest;
-                                let relFileSrc;
-
-                                relFileSrc = relFileSrcParam;
-
-                                // Skip if it matches any of our ignore list
-                                if (shouldIgnore(relFileSrc, ignoreList)) {
-                                    return false;
-                                }
-
-                                const absFileSrc = path.resolve(context, relFileSrc);
-
-                                relFileDest = pattern.to || '';
-
-                                // Remove any directory references if flattening
-                                if (pattern.flatten) {
-                                    relFileSrc = path.basename(relFileSrc);
-                                }
-
-                                const relFileDirname = path.dirname(relFileSrc);
-
-                                fileDependencies.push(absFileSrc);
-
-                                // If the pattern is a blob
-                                if (!stat) {
-                                    // If the source is absolute
-                                    if (path.isAbsolute(relFileSrc)) {
-                                        // Make the destination relative
-                                        relFileDest = path.join(path.relative(context, relFileDirname), path.basename(relFileSrc));
-
-                                    // If the source is relative
-                                    } else {
-                                        relFileDest = path.join(relFileDest, relFileSrc);
-                                    }
-
-                                // If it looks like a directory
-                                } else if (toLooksLikeDirectory(pattern)) {
-                                    // Make the path relative to the source
-                                    relFileDest = path.join(relFileDest, path.basename(relFileSrc));
-                                }
-
-                                // If there's still no relFileDest
-                                relFileDest = relFileDest || path.basename(relFileSrc);
-
-                                // Make sure the relative destination is actually relative
-                                if (path.isAbsolute(relFileDest)) {
-                                    relFileDest = path.relative(outputPath, relFileDest);
-                                }
-
-                                return writeFileToAssets({
-                                    absFileSrc,
-                                    compilation,
-                                    copyUnmodified,
-                                    forceWrite,
-                                    lastGlobalUpdate,
-                                    relFileDest
-                                })
-                                .then((asset) => {
-                                    writtenAssets.add(asset);
-                                });
-                            });
+                        // Watch the base of the glob, so new matches trigger a rebuild
+                        if (glob.hasMagic(relSrc, globOpts)) {
+                            contextDependencies.push(getGlobBase(relSrc, fromContext, globOpts));
+                        }
+
+                        return getGlobFiles({
+                            context: fromContext,
+                            excludedFiles,
+                            globOpts,
+                            ignoreList,
+                            limit,
+                            logger,
+                            negations,
+                            outputPath,
+                            pattern: toPattern,
+                            relSrc,
+                            stat,
+                            symlinks,
+                            toTemplate
+                        })
+                        .each((file) => {
+                            fileDependencies.push(file.absFileSrc);
+                        });
                     });
+                })
+                .then((files) => {
+                    // A file matched by several entries of from is only copied once
+                    const uniqueFiles = _.uniqBy(_.flatten(files), 'absFileSrc');
+
+                    if (!pattern.test) {
+                        return uniqueFiles;
+                    }
+
+                    // Only files matching test are copied, and its capture groups are available to to
+                    return _.filter(_.map(uniqueFiles, (file) => {
+                        return _.assignIn({
+                            matches: file.absFileSrc.replace(/\\/g, '/').match(pattern.test)
+                        }, file);
+                    }), (file) => {
+                        if (!file.matches) {
+                            logger.debug(file.absFileSrc + ' doesn\'t match test');
+                            excludedFiles.push(file.absFileSrc);
+                        }
+
+                        return file.matches;
+                    });
+                })
+                .map((file) => {
+                    return loadFile({
+                        absFileSrc: file.absFileSrc,
+                        // Only the merged file is compressed
+                        compress: pattern.merge ? null : pattern.compress,
+                        content: file.content,
+                        context,
+                        copyUnmodified,
+                        interpolate: _.isUndefined(pattern.interpolate) ? options.interpolate : pattern.interpolate,
+                        limit,
+                        matches: file.matches,
+                        outputPath,
+                        // Merged files need the content of every file
+                        previousSourceFingerprints: pattern.merge ? null : previousSourceFingerprints,
+                        previousSourceHashes,
+                        relFileDest: file.relFileDest,
+                        sourceFingerprints,
+                        sourceHashes,
+                        templateContext: file.templateContext,
+                        toFunction,
+                        toTemplate,
+                        transform: pattern.transform
+                    });
+                })
+                .then((files) => {
+                    if (!pattern.merge) {
+                        return _.compact(files);
+                    }
+
+                    return mergeFiles({
+                        compress: pattern.compress,
+                        copyUnmodified,
+                        files: _.compact(files),
+                        merge: pattern.merge,
+                        outputPath,
+                        previousSourceHashes,
+                        relFileDest: pattern.to,
+                        sourceHashes
+                    });
+                })
+                .then((files) => {
+                    return {
+                        absSources,
+                        excludedFiles,
+                        files,
+                        logger
+                    };
+                })
+                .catch((err) => {
+                    // A failing pattern doesn't stop the other patterns from being copied
+                    compilation.errors.push(err);
+
+                    return {
+                        absSources,
+                        excludedFiles,
+                        failed: true,
+                        files: [],
+                        logger
+                    };
+                });
             })
-            .then(() => {
-                lastGlobalUpdate = _.now();
-            })
-            .catch((err) => {
-                compilation.errors.push(err);
-            })
-            .finally(cb);
-        });
+            .then((loadedPatterns) => {
+                // Files are added in pattern order, so the first pattern wins unless forced
+                _.forEach(loadedPatterns, (loadedPattern, index) => {
+                    const logger = loadedPattern.logger;
+                    const pattern = compilerPatterns[index];
+                    const forceWrite = Boolean(pattern.force);
+                    const strict = _.isUndefined(pattern.strict) ? options.strict : pattern.strict;
+
+                    if (loadedPattern.failed) {
+                        return;
+                    }
+
+                    const excludedCount = _.uniq(loadedPattern.excludedFiles).length;
+                    const source = 'from ' + JSON.stringify(pattern.from) + ' in ' + pattern.context;
+
+                    // Files excluded on purpose aren't a mistake in from, so strict doesn't report them
+                    if (loadedPattern.files.length === 0 && excludedCount > 0) {
+                        logger.info(source + ' copied no files, ' + excludedCount + ' excluded by ignore, test or a negated glob');
+                    } else if (loadedPattern.files.length === 0) {
+                        const message = source + ' matched no files at ' + loadedPattern.absSources.join(', ');
+
+                        if (strict === 'warn') {
+                            compilation.warnings.push(new Error('CopyWebpackPlugin: patterns[' + index + '] ' + message));
+                        } else if (strict) {
+                            compilation.errors.push(new Error('CopyWebpackPlugin: patterns[' + index + '] ' + message));
+                        } else {
+                            logger.warn(message);
+                        }
+                    }
+
+                    const copiedPatternFiles = _.filter(loadedPattern.files, (file) => {
+                        return writeFileToAssets({
+                            compilation,
+                            copiedAssets,
+                            copiedFiles,
+                            file,
+                            forceWrite,
+                            logger,
+                            onCollision,
+                            previousAssets,
+                            RawSource,
+                            writtenAssets,
+                            writtenStats
+                        });
+                    });
 
-        compiler.plugin('after-emit', (compilation, callback) => {
-            const trackedFiles = compilation.fileDependencies;
+                    logger.info('matched ' + loadedPattern.files.length + ' files, copied ' + copiedPatternFiles.length +
+                        ', skipped ' + (loadedPattern.files.length - copiedPatternFiles.length) +
+                        ' (' + _.sumBy(copiedPatternFiles, 'size') + ' bytes)');
+                });
 
-            _.forEach(fileDependencies, (file) => {
-                if (!_.includes(trackedFiles, file)) {
-                    trackedFiles.push(file);
+                if (options.manifest) {
+                    writtenAssets.add(writeManifestToAssets({
+                        compilation,
+                        copiedFiles,
+                        RawSource,
+                        relFileDest: options.manifest
+                    }));
                 }
-            });
-
-            const trackedDirs = compilation.contextDependencies;
 
-            _.forEach(contextDependencies, (context) => {
-                if (!_.includes(trackedDirs, context)) {
-                    trackedDirs.push(context);
+                // The files of failed patterns aren't stale, so the last successful emit is kept
+                if (_.some(loadedPatterns, 'failed')) {
+                    return;
                 }
-            });
-
-            // Write files to file system if webpack-dev-server
 
-            if (!isDevServer(compiler)) {
-                callback();
-
-                return;
-            }
-
-            const writeFilePromises = [];
+                // Files copied by the last successful emit that no longer have a source
+                staleAssets = _.filter([...previousCopiedFiles.keys()], (assetPath) => {
+                    return !copiedFiles.has(assetPath) && !compilation.assets[assetPath];
+                });
 
-            _.forEach(compilation.assets, (asset, assetPath) => {
-                // If this is not our asset, ignore it
-                if (!writtenAssets.has(assetPath)) {
-                    return;
-                }
+                // Unchanged files are compared against the last successful emit
+                previousCopiedFiles = copiedFiles;
+                previousAssets = copiedAssets;
+                previousSourceHashes = sourceHashes;
+                previousSourceFingerprints = sourceFingerprints;
+            })
+            .catch((err) => {
+                compilation.errors.push(err);
+            })
+            .finally(cb);
+        };
+
+        const afterEmit = (compilation, callback) => {
+            addDependencies(compilation.fileDependencies, fileDependencies);
+            addDependencies(compilation.contextDependencies, contextDependencies);
+
+            removeStaleAssets({
+                // Later plugins can emit a stale path again in the same compilation
+                assetPaths: _.reject(staleAssets, (assetPath) => {
+                    return compilation.assets[assetPath];
+                }),
+                compiler,
+                outputPath,
+                shouldWriteToDisk
+            })
+            .then(() => {
+                const writeFilePromises = [];
+
+                // Write files to the file system, for in-memory file systems like webpack-dev-server's
+                _.forEach(compilation.assets, (asset, assetPath) => {
+                    // If this is not our asset, ignore it
+                    if (!writtenAssets.has(assetPath) || !shouldWriteToDisk(assetPath)) {
+                        return;
+                    }
+
+                    const outputFilePath = path.join(outputPath, assetPath);
+                    const absOutputPath = path.resolve(process.cwd(), outputFilePath);
+
+                    writeFilePromises.push(fs.mkdirsAsync(path.dirname(absOutputPath))
+                        .then(() => {
+                            return fs.writeFileAsync(absOutputPath, asset.source());
+                        })
+                        .then(() => {
+                            if (!writtenStats.has(assetPath)) {
+                                return null;
+                            }
 
-                const outputFilePath = path.join(outputPath, assetPath);
-                const absOutputPath = path.resolve(process.cwd(), outputFilePath);
+                            return preserveStats({
+                                fileSystem: fs,
+                                filePath: absOutputPath,
+                                preserve,
+                                stat: writtenStats.get(assetPath)
+                            });
+                        }));
+                });
 
-                writeFilePromises.push(fs.mkdirsAsync(path.dirname(absOutputPath))
-                    .then(() => {
-                        return fs.writeFileAsync(absOutputPath, asset.source());
-                    }));
+                return Promise.all(writeFilePromises);
+            })
+            .then(() => {
+                // Files emitted by webpack get the stats of their source as well
+                return Promise.map([...writtenStats.keys()], (assetPath) => {
+                    return preserveStats({
+                        fileSystem: compiler.outputFileSystem,
+                        filePath: path.join(outputPath, assetPath),
+                        preserve,
+                        stat: writtenStats.get(assetPath)
+                    })
+                    .catch((err) => {
+                        // Webpack doesn't emit assets it already emitted unchanged
+                        if (err.code !== 'ENOENT') {
+                            throw err;
+                        }
+                    });
+                });
+            })
+            .catch((err) => {
+                compilation.errors.push(err);
+            })
+            .finally(callback);
+        };
+
+        if (!compiler.hooks) {
+            compiler.plugin('emit', emit);
+            compiler.plugin('after-emit', afterEmit);
+
+            return;
+        }
+
+        if (processesAssets) {
+            compiler.hooks.thisCompilation.tap('CopyWebpackPlugin', (compilation) => {
+                compilation.hooks.processAssets.tapAsync({
+                    name: 'CopyWebpackPlugin',
+                    stage: webpack.Compilation.PROCESS_ASSETS_STAGE_ADDITIONAL
+                }, (assets, callback) => {
+                    emit(compilation, callback);
+                });
             });
+        } else {
+            compiler.hooks.emit.tapAsync('CopyWebpackPlugin', emit);
+        }
 
-            Promise.all(writeFilePromises)
-                .then(() => {
-                    callback();
-                });
-        });
+        compiler.hooks.afterEmit.tapAsync('CopyWebpackPlugin', afterEmit);
     };
 
     return {
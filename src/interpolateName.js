@@ -0,0 +1,32 @@
+import path from 'path';
+import hashContent from './hashContent';
+
+export default (template, opts) => {
+    const absFileSrc = opts.absFileSrc;
+    const ext = path.extname(absFileSrc);
+    const relFileDirname = path.dirname(path.relative(opts.context, absFileSrc));
+    const hash = hashContent(opts.content);
+    const matches = opts.matches || [];
+
+    return template.replace(/\[(?:(name|ext|path|hash|contenthash)(?::(\d+))?|(\d+))\]/g, (match, placeholder, length, group) => {
+        // Capture groups of the test regular expression
+        if (group) {
+            return matches[Number(group)] || '';
+        }
+
+        if (placeholder === 'name') {
+            return path.basename(absFileSrc, ext);
+        }
+
+        if (placeholder === 'ext') {
+            return ext.slice(1);
+        }
+
+        if (placeholder === 'path') {
+            // Files at the root of the context don't get a path
+            return relFileDirname === '.' ? '' : relFileDirname + '/';
+        }
+
+        return length ? hash.slice(0, Number(length)) : hash;
+    });
+};
@@ -0,0 +1,38 @@
+import _ from 'lodash';
+import path from 'path';
+
+const defaultExtensions = ['.css', '.htm', '.html', '.js', '.json', '.md', '.svg', '.txt', '.webmanifest', '.xml', '.yaml', '.yml'];
+
+// Replaces variables directly between the delimiters in text files, from the variables map or process.env
+export default (content, opts) => {
+    const absFileSrc = opts.absFileSrc;
+    const interpolate = opts.interpolate === true ? {} : opts.interpolate;
+    const delimiters = interpolate.delimiters || ['%', '%'];
+    const extensions = interpolate.extensions || defaultExtensions;
+    const variables = interpolate.variables || {};
+
+    if (!_.includes(extensions, path.extname(absFileSrc).toLowerCase())) {
+        return content;
+    }
+
+    // Percent-encoded bytes of URLs, such as %C3%A9, aren't names
+    const encodedByte = delimiters[0] === '%' ? '(?![0-9A-Fa-f]{2}' + _.escapeRegExp(delimiters[1]) + ')' : '';
+    const variablePattern = new RegExp(_.escapeRegExp(delimiters[0]) + encodedByte + '([A-Za-z_$][\\w$.]*)' + _.escapeRegExp(delimiters[1]), 'g');
+
+    return Buffer.from(content.toString().replace(variablePattern, (match, name) => {
+        let value;
+
+        // process.env.NAME only looks in the environment
+        if (_.startsWith(name, 'process.env.')) {
+            value = process.env[name.slice('process.env.'.length)];
+        } else {
+            value = _.has(variables, name) ? variables[name] : process.env[name];
+        }
+
+        if (_.isUndefined(value)) {
+            throw new Error('CopyWebpackPlugin: ' + absFileSrc + ' uses the undefined variable ' + name);
+        }
+
+        return String(value);
+    }));
+};
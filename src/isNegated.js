@@ -0,0 +1,14 @@
+import _ from 'lodash';
+import minimatch from 'minimatch';
+import path from 'path';
+
+// Negated globs in from are relative to the context, like the globs they negate
+export default (absFileSrc, opts) => {
+    return _.some(opts.negations, (negation) => {
+        const filePath = path.isAbsolute(negation) ? absFileSrc : path.relative(opts.context, absFileSrc);
+
+        return minimatch(filePath.replace(/\\/g, '/'), negation, {
+            dot: true
+        });
+    });
+};
@@ -0,0 +1,8 @@
+export default (pattern) => {
+    const to = pattern.to || '';
+
+    return pattern.toType === 'template' || !pattern.toType && (
+        /\[(?:name|ext|path|hash|contenthash)(?::\d+)?\]/.test(to) ||
+        Boolean(pattern.test) && /\[\d+\]/.test(to)
+    );
+};
@@ -0,0 +1,156 @@
+import _ from 'lodash';
+import Promise from 'bluebird';
+import path from 'path';
+import compressContent from './compressContent';
+import hashContent from './hashContent';
+import interpolateName from './interpolateName';
+import interpolateVariables from './interpolateVariables';
+
+/* eslint-disable import/no-commonjs */
+const fs = Promise.promisifyAll(require('fs-extra'));
+/* eslint-enable */
+
+export default (opts) => {
+    const absFileSrc = opts.absFileSrc;
+    const compress = opts.compress;
+    const context = opts.context;
+    const copyUnmodified = opts.copyUnmodified;
+    const limit = opts.limit;
+    const outputPath = opts.outputPath;
+    const previousSourceFingerprints = opts.previousSourceFingerprints;
+    const previousSourceHashes = opts.previousSourceHashes;
+    const sourceFingerprints = opts.sourceFingerprints;
+    const sourceHashes = opts.sourceHashes;
+    const transform = opts.transform;
+    const toFunction = opts.toFunction;
+    const toTemplate = opts.toTemplate;
+    const templateContext = opts.templateContext;
+
+    let fingerprint;
+    let stat;
+
+    fingerprint = null;
+    stat = null;
+
+    // Files from archives are already read
+    return (opts.content ? Promise.resolve(opts.content) : limit(() => {
+        return fs
+            .statAsync(absFileSrc)
+            .then((fileStat) => {
+                if (fileStat.isDirectory()) {
+                    return null;
+                }
+
+                const previous = previousSourceFingerprints && previousSourceFingerprints.get(absFileSrc);
+
+                stat = fileStat;
+                fingerprint = [stat.size, stat.mtime.getTime(), stat.ino].join(':');
+
+                // Files with the same size, modification time and inode are unchanged, so they aren't read again
+                if (!copyUnmodified && previous && previous.fingerprint === fingerprint) {
+                    return previous;
+                }
+
+                return fs.readFileAsync(absFileSrc);
+            });
+    }))
+    .then((content) => {
+        if (!content) {
+            return null;
+        }
+
+        if (!Buffer.isBuffer(content)) {
+            sourceFingerprints.set(absFileSrc, content);
+            sourceHashes.set(absFileSrc, content.sourceHash);
+
+            return _.assignIn({}, content.file, {
+                stat
+            });
+        }
+
+        // Files whose fingerprint changed are still compared by the hash of their content
+        const sourceHash = hashContent(content);
+        const isModified = copyUnmodified || previousSourceHashes.get(absFileSrc) !== sourceHash;
+
+        sourceHashes.set(absFileSrc, sourceHash);
+
+        const interpolatedContent = opts.interpolate ? interpolateVariables(content, {
+            absFileSrc,
+            interpolate: opts.interpolate
+        }) : content;
+
+        return Promise
+        .all([
+            transform ? transform(interpolatedContent, absFileSrc) : interpolatedContent,
+            toFunction ? toFunction({
+                absoluteFrom: absFileSrc,
+                context,
+                relativeFrom: path.relative(context, absFileSrc),
+                stat
+            }) : opts.relFileDest
+        ])
+        .spread((transformedContent, toResult) => {
+            let relFileDest;
+
+            const buffer = Buffer.isBuffer(transformedContent) ? transformedContent : Buffer.from(String(transformedContent));
+
+            relFileDest = toResult;
+
+            if (toFunction && (!_.isString(relFileDest) || !relFileDest)) {
+                throw new Error('CopyWebpackPlugin: to must return a file path for ' + absFileSrc);
+            }
+
+            // Make sure the relative destination is actually relative
+            if (path.isAbsolute(relFileDest)) {
+                relFileDest = path.relative(outputPath, relFileDest);
+            }
+
+            if (toTemplate) {
+                relFileDest = interpolateName(relFileDest, {
+                    absFileSrc,
+                    content: buffer,
+                    context: templateContext,
+                    matches: opts.matches
+                });
+            }
+
+            // ensure forward slashes
+            relFileDest = relFileDest.replace(/\\/g, '/');
+
+            return compressContent({
+                buffer,
+                compress,
+                relFileDest
+            })
+            .then((compressedFiles) => {
+                const file = {
+                    absFileSrc,
+                    buffer,
+                    compressedFiles,
+                    hash: hashContent(buffer),
+                    isModified,
+                    relFileDest,
+                    size: buffer.length,
+                    stat
+                };
+
+                // The next emit reuses everything but the content of files that don't change
+                if (fingerprint) {
+                    sourceFingerprints.set(absFileSrc, {
+                        file: _.assignIn({}, file, {
+                            buffer: null,
+                            compressedFiles: _.map(compressedFiles, (compressedFile) => {
+                                return _.omit(compressedFile, 'buffer');
+                            }),
+                            isModified: false
+                        }),
+                        fingerprint,
+                        sourceHash
+                    });
+                }
+
+                return file;
+            });
+        });
+    });
+};
@@ -0,0 +1,91 @@
+import _ from 'lodash';
+import Promise from 'bluebird';
+import path from 'path';
+import compressContent from './compressContent';
+import hashContent from './hashContent';
+
+const mergers = {
+    // Files are joined by a newline, unless they already end with one
+    concat (files) {
+        return Buffer.concat(_.flatMap(files, (file, index) => {
+            const isLast = index === files.length - 1;
+
+            return isLast || _.last(file.buffer) === 0x0a ? [file.buffer] : [file.buffer, Buffer.from('\n')];
+        }));
+    },
+    'json-deep' (files) {
+        const objects = _.map(files, (file) => {
+            try {
+                return JSON.parse(file.buffer.toString());
+            } catch (error) {
+                throw new Error('CopyWebpackPlugin: ' + file.absFileSrc + ' is not valid JSON, ' + error.message);
+            }
+        });
+
+        return JSON.stringify(_.reduce(objects, (merged, object) => {
+            return _.merge(merged, object);
+        }, {}));
+    }
+};
+
+// Merges the files of a pattern, in the order they were matched, into one file
+export default (opts) => {
+    const files = opts.files;
+    const merge = opts.merge;
+    let relFileDest;
+
+    relFileDest = opts.relFileDest;
+
+    // Make sure the relative destination is actually relative
+    if (path.isAbsolute(relFileDest)) {
+        relFileDest = path.relative(opts.outputPath, relFileDest);
+    }
+
+    // ensure forward slashes
+    relFileDest = relFileDest.replace(/\\/g, '/');
+
+    if (files.length === 0) {
+        return Promise.resolve([]);
+    }
+
+    return Promise
+        .try(() => {
+            if (!_.isFunction(merge)) {
+                return mergers[merge](files);
+            }
+
+            return Promise.reduce(files, (merged, file) => {
+                return merge(merged, file.buffer, file.absFileSrc);
+            }, null);
+        })
+        .then((mergedContent) => {
+            const buffer = Buffer.isBuffer(mergedContent) ? mergedContent : Buffer.from(String(mergedContent));
+
+            // Merged files are identified by their destination
+            const absFileSrc = 'merge:' + relFileDest;
+            const hash = hashContent(buffer);
+            const isModified = opts.copyUnmodified || opts.previousSourceHashes.get(absFileSrc) !== hash;
+
+            opts.sourceHashes.set(absFileSrc, hash);
+
+            return compressContent({
+                buffer,
+                compress: opts.compress,
+                relFileDest
+            })
+            .then((compressedFiles) => {
+                return [{
+                    absFileSrc,
+                    buffer,
+                    compressedFiles,
+                    hash,
+                    isModified,
+                    relFileDest,
+                    size: buffer.length,
+                    // The manifest lists the files that were merged
+                    sources: _.map(files, 'absFileSrc'),
+                    stat: null
+                }];
+            });
+        });
+};
@@ -0,0 +1,30 @@
+import _ from 'lodash';
+import Promise from 'bluebird';
+
+// Gives a written file the mode and times of its source, if the file system supports it
+export default (opts) => {
+    const fileSystem = opts.fileSystem;
+    const filePath = opts.filePath;
+    const preserve = opts.preserve;
+    const stat = opts.stat;
+
+    return Promise
+        .try(() => {
+            if (!preserve.mode || !_.isFunction(fileSystem.chmod)) {
+                return null;
+            }
+
+            return Promise.fromNode((callback) => {
+                fileSystem.chmod(filePath, stat.mode & 0o7777, callback);
+            });
+        })
+        .then(() => {
+            if (!preserve.times || !_.isFunction(fileSystem.utimes)) {
+                return null;
+            }
+
+            return Promise.fromNode((callback) => {
+                fileSystem.utimes(filePath, stat.atime, stat.mtime, callback);
+            });
+        });
+};
@@ -0,0 +1,163 @@
+import Promise from 'bluebird';
+import _ from 'lodash';
+import path from 'path';
+import zlib from 'zlib';
+
+/* eslint-disable import/no-commonjs */
+const fs = require('fs-extra');
+const tar = require('tar-stream');
+const yauzl = require('yauzl');
+/* eslint-enable */
+
+// Entries can't be written outside of the output directory, so their paths must stay inside the archive
+const normalizeEntryPath = (entryPath) => {
+    const normalizedPath = path.posix.normalize(entryPath.replace(/\\/g, '/')).replace(/^\/+/, '');
+
+    if (normalizedPath === '..' || _.startsWith(normalizedPath, '../') || _.endsWith(normalizedPath, '/')) {
+        return null;
+    }
+
+    return normalizedPath;
+};
+
+const readStream = (stream) => {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+
+        stream.on('data', (chunk) => {
+            chunks.push(chunk);
+        });
+        stream.on('error', reject);
+        stream.on('end', () => {
+            resolve(Buffer.concat(chunks));
+        });
+    });
+};
+
+const readTarEntries = (stream, filter, absArchiveSrc) => {
+    return new Promise((resolve, reject) => {
+        const entries = [];
+        const extract = tar.extract();
+
+        extract.on('entry', (header, entryStream, next) => {
+            const entryPath = normalizeEntryPath(header.name);
+
+            if (header.type === 'file' && !entryPath) {
+                reject(new Error('CopyWebpackPlugin: ' + header.name + ' in ' + absArchiveSrc + ' is outside of the archive'));
+                stream.destroy();
+                extract.destroy();
+
+                return;
+            }
+
+            // Only regular files are copied, and only the matching ones are kept
+            if (header.type !== 'file' || !filter(entryPath)) {
+                entryStream.on('end', next);
+                entryStream.resume();
+
+                return;
+            }
+
+            readStream(entryStream)
+                .then((content) => {
+                    entries.push({
+                        content,
+                        path: entryPath
+                    });
+                    next();
+                })
+                .catch(next);
+        });
+        stream.on('error', reject);
+        extract.on('error', reject);
+        extract.on('finish', () => {
+            resolve(entries);
+        });
+
+        stream.pipe(extract);
+    });
+};
+
+const readZipEntries = (absArchiveSrc, filter) => {
+    return Promise
+        .fromNode((callback) => {
+            yauzl.open(absArchiveSrc, {
+                lazyEntries: true
+            }, callback);
+        })
+        .then((zipFile) => {
+            return new Promise((resolve, reject) => {
+                const entries = [];
+
+                zipFile.on('entry', (entry) => {
+                    const entryPath = normalizeEntryPath(entry.fileName);
+                    // Unix file types are kept in the high bits of the external attributes
+                    const isSymbolicLink = (entry.externalFileAttributes >>> 16 & 0o170000) === 0o120000;
+
+                    // Only regular files are copied, and only the matching ones are inflated
+                    if (!entryPath || isSymbolicLink || !filter(entryPath)) {
+                        zipFile.readEntry();
+
+                        return;
+                    }
+
+                    Promise
+                        .fromNode((callback) => {
+                            zipFile.openReadStream(entry, callback);
+                        })
+                        .then(readStream)
+                        .then((content) => {
+                            entries.push({
+                                content,
+                                path: entryPath
+                            });
+                            zipFile.readEntry();
+                        })
+                        .catch(reject);
+                });
+                zipFile.on('error', reject);
+                zipFile.on('end', () => {
+                    resolve(entries);
+                });
+
+                zipFile.readEntry();
+            });
+        })
+        .catch((err) => {
+            throw new Error('CopyWebpackPlugin: ' + absArchiveSrc + ' is not a valid zip archive, ' + err.message);
+        });
+};
+
+// Lists the files in a zip, tar or gzipped tar archive whose path passes the filter, with their content
+export default (absArchiveSrc, opts) => {
+    const filter = opts.filter || _.constant(true);
+
+    return opts.limit(() => {
+        // Only the header is read to find the format, archives are streamed
+        return readStream(fs.createReadStream(absArchiveSrc, {
+            end: 511
+        }))
+        .then((header) => {
+            // Zip archives start with a local file header, or the end record if they are empty
+            const signature = header.length >= 4 ? header.readUInt32LE(0) : null;
+
+            if (signature === 0x04034b50 || signature === 0x06054b50) {
+                return readZipEntries(absArchiveSrc, filter);
+            }
+
+            if (header[0] === 0x1f && header[1] === 0x8b) {
+                const gunzip = zlib.createGunzip();
+
+                return readTarEntries(fs.createReadStream(absArchiveSrc).on('error', (err) => {
+                    gunzip.emit('error', err);
+                }).pipe(gunzip), filter, absArchiveSrc);
+            }
+
+            if (header.length >= 512 && header.toString('utf8', 257, 262) === 'ustar') {
+                return readTarEntries(fs.createReadStream(absArchiveSrc), filter, absArchiveSrc);
+            }
+
+            throw new Error('CopyWebpackPlugin: ' + absArchiveSrc + ' is not a zip or tar archive');
+        });
+    });
+};
@@ -0,0 +1,83 @@
+import Promise from 'bluebird';
+import _ from 'lodash';
+import path from 'path';
+
+/* eslint-disable import/no-commonjs */
+const fs = Promise.promisifyAll(require('fs-extra'));
+/* eslint-enable */
+
+export default (absDirSrc, opts) => {
+    const filter = opts.filter || _.constant(true);
+    const limit = opts.limit;
+    const symlinks = opts.symlinks;
+
+    // linkPath is the first symbolic link on the way to absDir, if any
+    const readDirectory = (absDir, realAncestors, linkPath) => {
+        return limit(() => {
+            return fs.readdirAsync(absDir);
+        })
+        .then((names) => {
+            return Promise.map(names.sort(), (name) => {
+                const absPath = path.join(absDir, name);
+
+                return limit(() => {
+                    return fs.lstatAsync(absPath);
+                })
+                .then((lstat) => {
+                    if (!lstat.isSymbolicLink()) {
+                        return [lstat, linkPath];
+                    }
+
+                    if (symlinks === 'skip') {
+                        return [null];
+                    }
+
+                    // Links to missing files have nothing to copy
+                    return limit(() => {
+                        return fs.statAsync(absPath).catch(_.constant(null));
+                    })
+                    .then((stat) => {
+                        return [stat, linkPath || absPath];
+                    });
+                })
+                .spread((stat, fileLinkPath) => {
+                    if (!stat) {
+                        return [];
+                    }
+
+                    if (!stat.isDirectory()) {
+                        if (!filter(absPath)) {
+                            return [];
+                        }
+
+                        if (symlinks === 'error' && fileLinkPath) {
+                            throw new Error('CopyWebpackPlugin: ' + fileLinkPath + ' is a symbolic link');
+                        }
+
+                        return [absPath];
+                    }
+
+                    return limit(() => {
+                        return fs.realpathAsync(absPath);
+                    })
+                    .then((realPath) => {
+                        // Links back up the tree would be followed forever
+                        if (_.includes(realAncestors, realPath)) {
+                            return [];
+                        }
+
+                        return readDirectory(absPath, realAncestors.concat(realPath), fileLinkPath);
+                    });
+                });
+            });
+        })
+        .then(_.flatten);
+    };
+
+    return limit(() => {
+        return fs.realpathAsync(absDirSrc);
+    })
+    .then((realDirSrc) => {
+        return readDirectory(absDirSrc, [realDirSrc], null);
+    });
+};
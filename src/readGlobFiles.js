@@ -0,0 +1,109 @@
+import Promise from 'bluebird';
+import _ from 'lodash';
+import path from 'path';
+import getGlobBase from './getGlobBase';
+import shouldIgnore from './shouldIgnore';
+
+/* eslint-disable import/no-commonjs */
+const globAsync = Promise.promisify(require('glob'));
+const fs = Promise.promisifyAll(require('fs-extra'));
+/* eslint-enable */
+
+// Matches files with glob, then applies the symlinks option to the links below the base of the glob
+export default (pattern, opts) => {
+    const context = opts.context;
+    const excludedFiles = opts.excludedFiles;
+    const filter = opts.filter || _.constant(true);
+    const globOpts = opts.globOpts;
+    const ignoreList = opts.ignoreList;
+    const limit = opts.limit;
+    const logger = opts.logger;
+    const symlinks = opts.symlinks;
+    const absGlobBase = getGlobBase(pattern, context, globOpts);
+    const lstats = new Map();
+
+    const lstat = (absPath) => {
+        if (!lstats.has(absPath)) {
+            lstats.set(absPath, limit(() => {
+                return fs.lstatAsync(absPath);
+            }));
+        }
+
+        return lstats.get(absPath);
+    };
+
+    // Resolves to false if the file is reached through a directory link back up the tree
+    const checkSymlinks = (absFileSrc) => {
+        const relPath = path.relative(absGlobBase, absFileSrc);
+
+        // A glob without magic names the file directly, and links named directly are always followed
+        if (!relPath || _.startsWith(relPath, '..')) {
+            return Promise.resolve(true);
+        }
+
+        const absPaths = _.map(relPath.split(path.sep), (segment, index, segments) => {
+            return path.join(absGlobBase, segments.slice(0, index + 1).join(path.sep));
+        });
+
+        return Promise.reduce(absPaths, (isFollowed, absPath) => {
+            if (!isFollowed) {
+                return false;
+            }
+
+            return lstat(absPath).then((stat) => {
+                if (!stat.isSymbolicLink()) {
+                    return true;
+                }
+
+                if (symlinks === 'skip') {
+                    return false;
+                }
+
+                if (symlinks === 'error') {
+                    throw new Error('CopyWebpackPlugin: ' + absPath + ' is a symbolic link');
+                }
+
+                // Links to missing files have nothing to copy
+                if (absPath === absFileSrc) {
+                    return limit(() => {
+                        return fs.statAsync(absPath);
+                    })
+                    .then(_.constant(true), _.constant(false));
+                }
+
+                return limit(() => {
+                    return Promise.all([
+                        fs.realpathAsync(absPath),
+                        fs.realpathAsync(path.dirname(absPath))
+                    ]);
+                })
+                .spread((realPath, realParentPath) => {
+                    return !_.startsWith(realParentPath + path.sep, realPath + path.sep);
+                });
+            });
+        }, true);
+    };
+
+    return limit(() => {
+        return globAsync(pattern, _.assignIn({}, globOpts, {
+            cwd: context,
+            nodir: true
+        }));
+    })
+    .filter((relFileSrc) => {
+        const absFileSrc = path.resolve(context, relFileSrc);
+
+        if (shouldIgnore(relFileSrc, ignoreList)) {
+            logger.debug(absFileSrc + ' is ignored');
+            excludedFiles.push(absFileSrc);
+
+            return false;
+        }
+
+        if (!filter(absFileSrc)) {
+            return false;
+        }
+
+        return checkSymlinks(absFileSrc);
+    });
+};
@@ -0,0 +1,41 @@
+import _ from 'lodash';
+import path from 'path';
+import Promise from 'bluebird';
+
+/* eslint-disable import/no-commonjs */
+const fs = Promise.promisifyAll(require('fs-extra'));
+/* eslint-enable */
+
+const ignoreMissing = (err) => {
+    if (err.code !== 'ENOENT') {
+        throw err;
+    }
+};
+
+export default (opts) => {
+    const outputFileSystem = opts.compiler.outputFileSystem;
+    const outputPath = opts.outputPath;
+
+    return Promise.map(opts.assetPaths, (assetPath) => {
+        const outputFilePath = path.join(outputPath, assetPath);
+        const removals = [];
+
+        // Webpack never removes files it emitted for an earlier compilation
+        if (_.isFunction(outputFileSystem.unlink)) {
+            removals.push(Promise
+                .fromNode((callback) => {
+                    outputFileSystem.unlink(outputFilePath, callback);
+                })
+                .catch(ignoreMissing));
+        }
+
+        // Files written to disk by writeToDisk are removed from there as well
+        if (opts.shouldWriteToDisk(assetPath)) {
+            removals.push(fs
+                .unlinkAsync(path.resolve(process.cwd(), outputFilePath))
+                .catch(ignoreMissing));
+        }
+
+        return Promise.all(removals);
+    });
+};
@@ -0,0 +1,69 @@
+import Promise from 'bluebird';
+import path from 'path';
+
+/* eslint-disable import/no-commonjs */
+const fs = Promise.promisifyAll(require('fs-extra'));
+/* eslint-enable */
+
+// Packages that don't export their package.json are found from the directory of their main file
+const findPackageRoot = (dir, packageName, limit) => {
+    return limit(() => {
+        return fs.readJsonAsync(path.join(dir, 'package.json'));
+    })
+    .then((packageJson) => {
+        return packageJson.name === packageName ? dir : null;
+    })
+    .catch((err) => {
+        if (err.code !== 'ENOENT') {
+            throw err;
+        }
+
+        return null;
+    })
+    .then((packageRoot) => {
+        const parentDir = path.dirname(dir);
+
+        if (packageRoot || parentDir === dir) {
+            return packageRoot;
+        }
+
+        return findPackageRoot(parentDir, packageName, limit);
+    });
+};
+
+// Finds the root of an installed package with the module resolution of Node.js, from the context
+export default (packageName, opts) => {
+    const resolve = (request) => {
+        /* eslint-disable import/no-commonjs */
+        return require.resolve(request, {
+            paths: [opts.context]
+        });
+        /* eslint-enable */
+    };
+
+    return Promise
+        .try(() => {
+            return path.dirname(resolve(packageName + '/package.json'));
+        })
+        .catch((err) => {
+            if (err.code !== 'ERR_PACKAGE_PATH_NOT_EXPORTED') {
+                throw err;
+            }
+
+            return findPackageRoot(path.dirname(resolve(packageName)), packageName, opts.limit);
+        })
+        .then((packageRoot) => {
+            if (!packageRoot) {
+                throw new Error('CopyWebpackPlugin: unable to find the root of the package ' + packageName + ' from ' + opts.context);
+            }
+
+            return packageRoot;
+        })
+        .catch((err) => {
+            if (err.code === 'MODULE_NOT_FOUND') {
+                throw new Error('CopyWebpackPlugin: unable to resolve the package ' + packageName + ' from ' + opts.context);
+            }
+
+            throw err;
+        });
+};
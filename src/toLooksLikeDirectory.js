@@ -1,10 +1,11 @@
 import _ from 'lodash';
 import path from 'path';
+import isTemplateLike from './isTemplateLike';
 
 export default (pattern) => {
     const filename = pattern.to || '';
 
-    return pattern.toType !== 'file' && (
+    return pattern.toType !== 'file' && !isTemplateLike(pattern) && (
         path.extname(filename) === '' ||
         _.last(filename) === path.sep ||
         _.last(filename) === '/' ||
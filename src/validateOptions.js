@@ -0,0 +1,279 @@
+import _ from 'lodash';
+
+const oneOf = (values) => {
+    return {
+        description: 'one of ' + _.map(values, JSON.stringify).join(', '),
+        test (value) {
+            return _.includes(values, value);
+        }
+    };
+};
+
+const isGlob = (value) => {
+    return _.isString(value) || _.isPlainObject(value) && _.isString(value.glob);
+};
+
+const isPath = (value) => {
+    return _.isString(value) && value !== '';
+};
+
+const isNegation = (value) => {
+    return _.isString(value) && _.head(value) === '!';
+};
+
+const isFromEntry = (value) => {
+    return isPath(value) || _.isPlainObject(value) && (
+        isPath(value.glob) ||
+        isPath(value.archive) ||
+        isPath(value.package)
+    );
+};
+
+const types = {
+    boolean: {
+        description: 'a boolean',
+        test: _.isBoolean
+    },
+    compress: {
+        description: 'a boolean or an object with algorithms, threshold and test',
+        test (value) {
+            return _.isBoolean(value) || _.isPlainObject(value);
+        }
+    },
+    // Negated globs only exclude files, so from needs something to copy
+    from: {
+        description: 'a path, a glob, an { archive }, { glob } or { package } object, or an array of them that isn\'t only negated globs',
+        test (value) {
+            return isFromEntry(value) && !isNegation(value) ||
+                _.isArray(value) && _.every(value, isFromEntry) && !_.every(value, isNegation);
+        }
+    },
+    function: {
+        description: 'a function',
+        test: _.isFunction
+    },
+    ignore: {
+        description: 'an array of globs or { glob } objects',
+        test (value) {
+            return _.isArray(value) && _.every(value, isGlob);
+        }
+    },
+    interpolate: {
+        description: 'a boolean or an object with delimiters, extensions and variables',
+        test (value) {
+            return _.isBoolean(value) || _.isPlainObject(value) && _.isEmpty(_.omit(value, ['delimiters', 'extensions', 'variables'])) &&
+                (_.isUndefined(value.delimiters) || _.isArray(value.delimiters) && value.delimiters.length === 2 && _.every(value.delimiters, _.isString)) &&
+                (_.isUndefined(value.extensions) || _.isArray(value.extensions) && _.every(value.extensions, _.isString)) &&
+                (_.isUndefined(value.variables) || _.isPlainObject(value.variables));
+        }
+    },
+    positiveInteger: {
+        description: 'a positive integer',
+        test (value) {
+            return _.isInteger(value) && value > 0;
+        }
+    },
+    strict: oneOf([true, false, 'error', 'warn']),
+    string: {
+        description: 'a string',
+        test: _.isString
+    },
+    symlinks: oneOf(['follow', 'skip', 'error']),
+    to: {
+        description: 'a string or a function',
+        test (value) {
+            return _.isString(value) || _.isFunction(value);
+        }
+    }
+};
+
+const patternSchema = {
+    compress: types.compress,
+    content: {
+        description: 'a string, a Buffer or a function',
+        test (value) {
+            return _.isString(value) || Buffer.isBuffer(value) || _.isFunction(value);
+        }
+    },
+    context: types.string,
+    flatten: types.boolean,
+    force: types.boolean,
+    from: types.from,
+    ignore: types.ignore,
+    interpolate: types.interpolate,
+    merge: {
+        description: '"concat", "json-deep" or a function',
+        test (value) {
+            return value === 'concat' || value === 'json-deep' || _.isFunction(value);
+        }
+    },
+    strict: types.strict,
+    symlinks: types.symlinks,
+    // Global and sticky regular expressions don't return their capture groups from match
+    test: {
+        description: 'a regular expression without the g or y flags',
+        test (value) {
+            return _.isRegExp(value) && !value.global && !value.sticky;
+        }
+    },
+    to: types.to,
+    toType: oneOf(['dir', 'file', 'template']),
+    transform: types.function
+};
+
+const compressSchema = {
+    algorithms: {
+        description: 'an array of "brotli" and "gzip"',
+        test (value) {
+            return _.isArray(value) && _.every(value, (algorithm) => {
+                return algorithm === 'brotli' || algorithm === 'gzip';
+            });
+        }
+    },
+    threshold: {
+        description: 'a number of bytes',
+        test (value) {
+            return _.isInteger(value) && value >= 0;
+        }
+    },
+    test: {
+        description: 'a regular expression',
+        test: _.isRegExp
+    }
+};
+
+const optionsSchema = {
+    concurrency: types.positiveInteger,
+    copyUnmodified: types.boolean,
+    ignore: types.ignore,
+    interpolate: types.interpolate,
+    logLevel: oneOf(['silent', 'warn', 'info', 'debug']),
+    manifest: types.string,
+    onCollision: oneOf(['warn', 'error', 'first', 'last', 'rename']),
+    outputPath: types.string,
+    preserve: {
+        description: 'an object with mode and times booleans',
+        test (value) {
+            return _.isPlainObject(value) && _.every(value, _.isBoolean) && _.isEmpty(_.omit(value, ['mode', 'times']));
+        }
+    },
+    strict: types.strict,
+    symlinks: types.symlinks,
+    writeToDisk: {
+        description: 'a boolean or a function',
+        test (value) {
+            return _.isBoolean(value) || _.isFunction(value);
+        }
+    }
+};
+
+const getDistance = (a, b) => {
+    let previousRow;
+
+    previousRow = _.range(b.length + 1);
+
+    _.forEach(a, (charA, indexA) => {
+        const row = [indexA + 1];
+
+        _.forEach(b, (charB, indexB) => {
+            row.push(Math.min(
+                row[indexB] + 1,
+                previousRow[indexB + 1] + 1,
+                previousRow[indexB] + (charA === charB ? 0 : 1)
+            ));
+        });
+
+        previousRow = row;
+    });
+
+    return _.last(previousRow);
+};
+
+// Suggests the known key closest to a misspelled one, ignoring case
+const getSuggestion = (key, schema) => {
+    const knownKey = _.minBy(_.keys(schema), (name) => {
+        return getDistance(key.toLowerCase(), name.toLowerCase());
+    });
+
+    return getDistance(key.toLowerCase(), knownKey.toLowerCase()) <= Math.max(2, Math.floor(knownKey.length / 4)) ? knownKey : null;
+};
+
+const validateObject = (object, schema, opts) => {
+    return _.flatMap(_.keys(object), (key) => {
+        const keyPath = opts.path + '.' + key;
+
+        if (!schema[key]) {
+            const suggestion = getSuggestion(key, schema);
+
+            return [keyPath + ' is not a known ' + opts.name + (suggestion ? ', did you mean ' + suggestion + '?' : '')];
+        }
+
+        if (_.isUndefined(object[key]) || schema[key].test(object[key])) {
+            return [];
+        }
+
+        return [keyPath + ' must be ' + schema[key].description + ', got ' + JSON.stringify(object[key])];
+    });
+};
+
+// Patterns copy either files from, or generated content to a file path
+const getSourceProblems = (pattern, patternPath) => {
+    if (_.isUndefined(pattern.content)) {
+        return _.isUndefined(pattern.from) ? [patternPath + '.from is required, unless the pattern has content'] : [];
+    }
+
+    if (!_.isUndefined(pattern.from)) {
+        return [patternPath + ' can\'t have both from and content'];
+    }
+
+    return _.isString(pattern.to) && pattern.to !== '' ? [] : [patternPath + '.to must be a file path when the pattern has content'];
+};
+
+// Merged files are copied to a single file path
+const getMergeProblems = (pattern, patternPath) => {
+    if (!pattern.merge || _.isString(pattern.to) && pattern.to !== '') {
+        return [];
+    }
+
+    return [patternPath + '.to must be a file path when the pattern has merge'];
+};
+
+// Throws an error listing every problem with the patterns and options
+export default (patterns, options) => {
+    let problems;
+
+    if (!_.isArray(patterns)) {
+        throw new Error('CopyWebpackPlugin: patterns must be an array');
+    }
+
+    problems = _.flatMap(patterns, (pattern, index) => {
+        const patternPath = 'patterns[' + index + ']';
+
+        if (!_.isPlainObject(pattern)) {
+            return [patternPath + ' must be an object with a from property'];
+        }
+
+        return getSourceProblems(pattern, patternPath).concat(getMergeProblems(pattern, patternPath), validateObject(pattern, patternSchema, {
+            name: 'pattern property',
+            path: patternPath
+        }), _.isPlainObject(pattern.compress) ? validateObject(pattern.compress, compressSchema, {
+            name: 'compress property',
+            path: patternPath + '.compress'
+        }) : []);
+    });
+
+    if (_.isPlainObject(options)) {
+        problems = problems.concat(validateObject(options, optionsSchema, {
+            name: 'option',
+            path: 'options'
+        }));
+    } else {
+        problems.push('options must be an object');
+    }
+
+    if (problems.length > 0) {
+        throw new Error(_.map(problems, (problem) => {
+            return 'CopyWebpackPlugin: ' + problem;
+        }).join('\n'));
+    }
+};
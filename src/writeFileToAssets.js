@@ -1,38 +1,164 @@
-import Promise from 'bluebird';
-
-/* eslint-disable import/no-commonjs */
-const fs = Promise.promisifyAll(require('fs-extra'));
-/* eslint-enable */
+import _ from 'lodash';
+import path from 'path';
+import createAsset from './createAsset';
+import deleteAsset from './deleteAsset';
+import emitAsset from './emitAsset';
 
 export default (opts) => {
     const compilation = opts.compilation;
-    // ensure forward slashes
-    const relFileDest = opts.relFileDest.replace(/\\/g, '/');
-    const absFileSrc = opts.absFileSrc;
+    const copiedAssets = opts.copiedAssets;
+    const copiedFiles = opts.copiedFiles;
+    const file = opts.file;
     const forceWrite = opts.forceWrite;
-    const lastGlobalUpdate = opts.lastGlobalUpdate;
-    const copyUnmodified = opts.copyUnmodified;
+    const logger = opts.logger;
+    const onCollision = opts.onCollision;
+    const previousAssets = opts.previousAssets;
+    const writtenAssets = opts.writtenAssets;
+    const writtenStats = opts.writtenStats;
+    let relFileDest;
 
-    if (compilation.assets[relFileDest] && !forceWrite) {
-        return Promise.resolve();
-    }
+    relFileDest = file.relFileDest;
+
+    // Files copied earlier in this emit count as taken even if they were unchanged
+    const isTaken = (assetPath) => {
+        return Boolean(compilation.assets[assetPath] || copiedFiles.has(assetPath));
+    };
 
-    return fs
-    .statAsync(absFileSrc)
-    .then((stat) => {
-        if (stat.isDirectory() || !copyUnmodified && stat.mtime.getTime() < lastGlobalUpdate) {
-            return null;
+    const reportCollision = (copiedFrom, assetPath) => {
+        const message = 'CopyWebpackPlugin: ' + copiedFrom + ' and ' + file.absFileSrc + ' are both copied to ' + assetPath;
+
+        if (onCollision === 'error') {
+            compilation.errors.push(new Error(message));
+        } else if (onCollision === 'warn') {
+            compilation.warnings.push(new Error(message));
         }
+    };
+
+    const copiedFile = copiedFiles.get(relFileDest);
+
+    // Another source was already copied to the same destination
+    if (copiedFile && copiedFile.from !== file.absFileSrc) {
+        reportCollision(copiedFile.from, relFileDest);
 
-        compilation.assets[relFileDest] = {
-            size () {
-                return stat.size;
-            },
-            source () {
-                return fs.readFileSync(absFileSrc);
+        if (onCollision === 'rename') {
+            const ext = path.extname(relFileDest);
+            const relFileDestBase = relFileDest.slice(0, relFileDest.length - ext.length);
+            let index;
+
+            index = 1;
+
+            while (isTaken(relFileDestBase + '-' + index + ext)) {
+                index++;
             }
+
+            relFileDest = relFileDestBase + '-' + index + ext;
+        } else if (onCollision === 'last' || forceWrite) {
+            // The earlier file is replaced, even if this one is unchanged
+            deleteAsset(compilation, relFileDest);
+            writtenAssets.delete(relFileDest);
+        } else {
+            logger.debug(file.absFileSrc + ' is skipped, ' + relFileDest + ' is already copied from ' + copiedFile.from);
+
+            return false;
+        }
+    } else if (isTaken(relFileDest) && !forceWrite) {
+        logger.debug(file.absFileSrc + ' is skipped, ' + relFileDest + ' is already in the compilation');
+
+        return false;
+    }
+
+    // Compressed copies are checked like the file, so they don't replace files of other plugins or sources
+    const compressedFiles = _.filter(file.compressedFiles, (compressedFile) => {
+        const assetPath = relFileDest + compressedFile.ext;
+        const copiedCompressedFile = copiedFiles.get(assetPath);
+
+        if (copiedCompressedFile && copiedCompressedFile.from !== file.absFileSrc) {
+            reportCollision(copiedCompressedFile.from, assetPath);
+
+            if (onCollision === 'last' || forceWrite) {
+                return true;
+            }
+
+            logger.debug(file.absFileSrc + ' isn\'t compressed to ' + assetPath + ', it is already copied from ' + copiedCompressedFile.from);
+
+            return false;
+        }
+
+        if (isTaken(assetPath) && !forceWrite) {
+            logger.debug(file.absFileSrc + ' isn\'t compressed to ' + assetPath + ', it is already in the compilation');
+
+            return false;
+        }
+
+        return true;
+    });
+
+    // Compressed files are copied next to the file
+    const outputs = [{
+        assetPath: relFileDest,
+        buffer: file.buffer,
+        hash: file.hash,
+        size: file.size
+    }].concat(_.map(compressedFiles, (compressedFile) => {
+        return {
+            assetPath: relFileDest + compressedFile.ext,
+            buffer: compressedFile.buffer,
+            hash: compressedFile.hash,
+            size: compressedFile.size
         };
+    }));
+
+    _.forEach(outputs, (output) => {
+        copiedFiles.set(output.assetPath, {
+            from: file.absFileSrc,
+            hash: output.hash,
+            size: output.size,
+            sources: file.sources,
+            to: output.assetPath
+        });
+    });
+
+    // Skip files whose content hasn't changed since the last emit
+    if (!file.isModified && !previousAssets) {
+        logger.debug(file.absFileSrc + ' is skipped, it is unchanged since the last emit');
+
+        return false;
+    }
+
+    // Each compilation of webpack 5 starts without assets, so unchanged files are added again as they were
+    if (!file.isModified) {
+        _.forEach(outputs, (output) => {
+            const asset = previousAssets.get(output.assetPath) || output.buffer && createAsset(output.buffer, opts.RawSource);
+
+            if (asset) {
+                emitAsset(compilation, output.assetPath, asset);
+                copiedAssets.set(output.assetPath, asset);
+            }
+        });
 
-        return relFileDest;
+        logger.debug(file.absFileSrc + ' is added again, it is unchanged since the last emit');
+
+        return false;
+    }
+
+    _.forEach(outputs, (output) => {
+        const asset = createAsset(output.buffer, opts.RawSource);
+
+        emitAsset(compilation, output.assetPath, asset);
+
+        if (copiedAssets) {
+            copiedAssets.set(output.assetPath, asset);
+        }
+
+        writtenAssets.add(output.assetPath);
+
+        // Files from archives have no stat to preserve
+        if (file.stat) {
+            writtenStats.set(output.assetPath, file.stat);
+        }
     });
+
+    logger.debug(file.absFileSrc + ' is copied to ' + relFileDest);
+
+    return true;
 };
@@ -0,0 +1,17 @@
+import _ from 'lodash';
+import createAsset from './createAsset';
+import emitAsset from './emitAsset';
+
+export default (opts) => {
+    const compilation = opts.compilation;
+    const copiedFiles = opts.copiedFiles;
+    // ensure forward slashes
+    const relFileDest = opts.relFileDest.replace(/\\/g, '/');
+
+    const entries = _.sortBy([...copiedFiles.values()], 'to');
+    const buffer = Buffer.from(JSON.stringify(entries, null, 2));
+
+    emitAsset(compilation, relFileDest, createAsset(buffer, opts.RawSource));
+
+    return relFileDest;
+};
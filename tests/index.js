@@ -1,4 +1,4 @@
-/* globals describe, it, afterEach, __dirname */
+/* globals describe, it, beforeEach, afterEach, __dirname */
 import {
     expect
 } from 'chai';
@@ -7,10 +7,21 @@ import fs from 'fs';
 import path from 'path';
 import _ from 'lodash';
 import Promise from 'bluebird';
+import crypto from 'crypto';
+import zlib from 'zlib';
 
 const BUILD_DIR = path.join(__dirname, 'build');
 const HELPER_DIR = path.join(__dirname, 'helpers');
+const ARCHIVE_DIR = path.join(__dirname, 'archives');
 const TEMP_DIR = path.join(__dirname, 'tempdir');
+const SYMLINK_DIR = path.join(__dirname, 'symlinks');
+const MERGE_DIR = path.join(__dirname, 'merge');
+const INTERPOLATE_DIR = path.join(__dirname, 'interpolate');
+const PACKAGE_DIR = path.join(__dirname, 'package');
+
+const md5 = (content) => {
+    return crypto.createHash('md5').update(content).digest('hex');
+};
 
 class MockCompiler {
     constructor () {
@@ -39,6 +50,98 @@ class MockCompiler {
     }
 }
 
+// Registers the plugin through the tapable hooks of webpack 4
+class MockHooksCompiler extends MockCompiler {
+    constructor () {
+        super();
+
+        this.hooks = {
+            afterEmit: {
+                tapAsync: (name, fn) => {
+                    this.afterEmitFn = fn;
+                }
+            },
+            emit: {
+                tapAsync: (name, fn) => {
+                    this.emitFn = fn;
+                }
+            }
+        };
+    }
+}
+
+class MockRawSource {
+    constructor (buffer) {
+        this.buffer = buffer;
+    }
+
+    size () {
+        return this.buffer.length;
+    }
+
+    source () {
+        return this.buffer;
+    }
+}
+
+// Registers the plugin for the processAssets stage of each compilation, like webpack 5
+class MockProcessAssetsCompiler extends MockHooksCompiler {
+    constructor () {
+        super();
+
+        this.webpack = {
+            Compilation: {
+                PROCESS_ASSETS_STAGE_ADDITIONAL: -2000
+            },
+            sources: {
+                RawSource: MockRawSource
+            }
+        };
+
+        this.hooks.thisCompilation = {
+            tap: (name, fn) => {
+                this.emitFn = (compilation, callback) => {
+                    // Webpack 5 reports assets emitted twice, and updates only assets it has
+                    compilation.deleteAsset = (assetPath) => {
+                        delete compilation.assets[assetPath];
+                    };
+                    compilation.emitAsset = (assetPath, source) => {
+                        if (compilation.assets[assetPath]) {
+                            throw new Error('Conflict: multiple assets emit to ' + assetPath);
+                        }
+
+                        compilation.assets[assetPath] = source;
+                    };
+                    compilation.getAsset = (assetPath) => {
+                        return compilation.assets[assetPath] ? {
+                            name: assetPath,
+                            source: compilation.assets[assetPath]
+                        } : undefined;
+                    };
+                    compilation.updateAsset = (assetPath, source) => {
+                        if (!compilation.assets[assetPath]) {
+                            throw new Error('Called Compilation.updateAsset for not existing filename ' + assetPath);
+                        }
+
+                        compilation.assets[assetPath] = source;
+                    };
+                    compilation.hooks = {
+                        processAssets: {
+                            tapAsync: (opts, processAssets) => {
+                                this.processAssetsStage = opts.stage;
+                                this.processAssetsFn = processAssets;
+                            }
+                        }
+                    };
+
+                    fn(compilation);
+                    this.processAssetsFn(compilation.assets, callback);
+                };
+            }
+        };
+    }
+}
+
 describe('apply function', () => {
     // Ideally we pass in patterns and confirm the resulting assets
     const run = (opts) => {
@@ -55,7 +158,8 @@ describe('apply function', () => {
                 assets: {},
                 contextDependencies: [],
                 errors: [],
-                fileDependencies: []
+                fileDependencies: [],
+                warnings: []
             }, opts.compilation);
 
             // Execute the functions in series
@@ -81,6 +185,27 @@ describe('apply function', () => {
         });
     };
 
+    // Runs another compilation with the plugin that is already applied to the compiler
+    const runAgain = (compiler) => {
+        const compilation = {
+            assets: {},
+            contextDependencies: [],
+            errors: [],
+            fileDependencies: [],
+            warnings: []
+        };
+
+        return Promise.each([
+            compiler.emitFn,
+            compiler.afterEmitFn
+        ], (fn) => {
+            return new Promise((res) => {
+                fn(compilation, res);
+            });
+        })
+        .return(compilation);
+    };
+
     const runEmit = (opts) => {
         return run(opts)
             .then((compilation) => {
@@ -121,7 +246,8 @@ describe('apply function', () => {
             assets: {},
             contextDependencies: [],
             errors: [],
-            fileDependencies: []
+            fileDependencies: [],
+            warnings: []
         };
 
         return run({
@@ -129,12 +255,16 @@ describe('apply function', () => {
             options: opts.options,
             patterns: opts.patterns
         })
-        // mtime is only measured in whole seconds
-        .delay(1000)
         .then(() => {
             // Change a file
             fs.appendFileSync(opts.newFileLoc1, 'extra');
 
+            // Set the modification times, as restoring the files from a cache would
+            if (opts.mtime) {
+                fs.utimesSync(opts.newFileLoc1, opts.mtime, opts.mtime);
+                fs.utimesSync(opts.newFileLoc2, opts.mtime, opts.mtime);
+            }
+
             // Trigger another compile
             return new Promise((res) => {
                 compiler.emitFn(compilation, res);
@@ -182,6 +312,154 @@ describe('apply function', () => {
 
             expect(createPluginWithNull).to.throw(Error);
         });
+
+        it('throws an error naming a pattern without from', () => {
+            const createPluginWithoutFrom = () => {
+                CopyWebpackPlugin([{
+                    from: 'file.txt'
+                }, {
+                    to: 'file.txt'
+                }]);
+            };
+
+            expect(createPluginWithoutFrom).to.throw('patterns[1].from is required');
+        });
+
+        it('throws an error suggesting the right name for a misspelled pattern property', () => {
+            const createPluginWithTypo = () => {
+                CopyWebpackPlugin([{
+                    flaten: true,
+                    from: 'file.txt'
+                }]);
+            };
+
+            expect(createPluginWithTypo).to.throw('patterns[0].flaten is not a known pattern property, did you mean flatten?');
+        });
+
+        it('throws an error naming a pattern property with an invalid value', () => {
+            const createPluginWithInvalidValue = () => {
+                CopyWebpackPlugin([{
+                    from: 'file.txt',
+                    toType: 'folder'
+                }]);
+            };
+
+            expect(createPluginWithInvalidValue).to.throw('patterns[0].toType must be one of "dir", "file", "template", got "folder"');
+        });
+
+        it('throws an error if test is a global regular expression', () => {
+            const createPluginWithGlobalTest = () => {
+                CopyWebpackPlugin([{
+                    from: '**/*.txt',
+                    test: /(\w+)file\.txt$/g,
+                    to: '[1].txt'
+                }]);
+            };
+
+            expect(createPluginWithGlobalTest).to.throw('patterns[0].test must be a regular expression without the g or y flags');
+        });
+
+        it('throws an error suggesting the right name for a misspelled compress property', () => {
+            const createPluginWithTypo = () => {
+                CopyWebpackPlugin([{
+                    compress: {
+                        algorithm: ['brotli']
+                    },
+                    from: 'file.txt'
+                }]);
+            };
+
+            expect(createPluginWithTypo).to.throw('patterns[0].compress.algorithm is not a known compress property, did you mean algorithms?');
+        });
+
+        it('throws an error if compress has an unknown algorithm', () => {
+            const createPluginWithUnknownAlgorithm = () => {
+                CopyWebpackPlugin([{
+                    compress: {
+                        algorithms: ['deflate']
+                    },
+                    from: 'file.txt'
+                }]);
+            };
+
+            expect(createPluginWithUnknownAlgorithm).to.throw('patterns[0].compress.algorithms must be an array of "brotli" and "gzip", got ["deflate"]');
+        });
+
+        it('throws an error if from has an empty glob', () => {
+            const createPluginWithEmptyGlob = () => {
+                CopyWebpackPlugin([{
+                    from: {
+                        glob: ''
+                    }
+                }]);
+            };
+
+            expect(createPluginWithEmptyGlob).to.throw('patterns[0].from must be a path, a glob');
+        });
+
+        it('throws an error if from only has negated globs', () => {
+            const createPluginWithOnlyNegations = () => {
+                CopyWebpackPlugin([{
+                    from: ['!**/*.txt', '!**/*.js']
+                }]);
+            };
+
+            expect(createPluginWithOnlyNegations).to.throw('patterns[0].from must be a path, a glob');
+        });
+
+        it('throws an error suggesting the right name for a misspelled option', () => {
+            const createPluginWithTypo = () => {
+                CopyWebpackPlugin([], {
+                    onColision: 'error'
+                });
+            };
+
+            expect(createPluginWithTypo).to.throw('options.onColision is not a known option, did you mean onCollision?');
+        });
+
+        it('throws an error listing every problem', () => {
+            const createPluginWithProblems = () => {
+                CopyWebpackPlugin([{
+                    from: 'file.txt',
+                    unknownProperty: true
+                }], {
+                    concurrency: 0
+                });
+            };
+
+            expect(createPluginWithProblems).to.throw(/patterns\[0\]\.unknownProperty is not a known pattern property\n.*options\.concurrency must be a positive integer/);
+        });
+
+        it('still copies the files of other patterns if a pattern fails', (done) => {
+            const compilation = {
+                assets: {},
+                contextDependencies: [],
+                errors: [],
+                fileDependencies: [],
+                warnings: []
+            };
+
+            run({
+                compilation,
+                patterns: [{
+                    from: 'file.txt'
+                }, {
+                    from: 'directory',
+                    transform () {
+                        throw new Error('transform failed');
+                    }
+                }]
+            })
+            .then(() => {
+                throw new Error('Expected the pattern to be an error');
+            })
+            .catch((error) => {
+                expect(error.message).to.equal('transform failed');
+                expect(compilation.assets).to.have.all.keys(['file.txt']);
+            })
+            .then(done)
+            .catch(done);
+        });
     });
 
     describe('with file in from', () => {
@@ -257,6 +535,41 @@ describe('apply function', () => {
             .catch(done);
         });
 
+        it('can use an array of globs to move multiple files to the root directory', (done) => {
+            runEmit({
+                expectedAssetKeys: [
+                    'file.txt',
+                    'directory/nested/nestedfile.txt'
+                ],
+                patterns: [{
+                    from: [
+                        '*.txt',
+                        'directory/nested/*.txt',
+                        '**/file.txt'
+                    ]
+                }]
+            })
+            .then(done)
+            .catch(done);
+        });
+
+        it('can use a negated glob to exclude files matched by a glob', (done) => {
+            runEmit({
+                expectedAssetKeys: [
+                    'file.txt',
+                    'directory/directoryfile.txt'
+                ],
+                patterns: [{
+                    from: [
+                        '**/*.txt',
+                        '!**/nested/**'
+                    ]
+                }]
+            })
+            .then(done)
+            .catch(done);
+        });
+
         it('can use a glob to move multiple files in a different relative context to a non-root directory', (done) => {
             runEmit({
                 expectedAssetKeys: [
@@ -306,6 +619,37 @@ describe('apply function', () => {
             .catch(done);
         });
 
+        it('can use a glob that goes up from the context to move files', (done) => {
+            runEmit({
+                expectedAssetKeys: [
+                    'directory/nested/nestedfile.txt'
+                ],
+                patterns: [{
+                    context: 'directory',
+                    from: '../directory/nested/*.txt',
+                    to: 'nested'
+                }]
+            })
+            .then(done)
+            .catch(done);
+        });
+
+        it('can use the ignore option of glob', (done) => {
+            runEmit({
+                expectedAssetKeys: [
+                    'directory/directoryfile.txt'
+                ],
+                patterns: [{
+                    from: {
+                        glob: 'directory/**/*',
+                        ignore: ['**/nested/**']
+                    }
+                }]
+            })
+            .then(done)
+            .catch(done);
+        });
+
         it('can use a glob with a full path to move a file to the root directory', (done) => {
             runEmit({
                 expectedAssetKeys: [
@@ -522,251 +866,338 @@ describe('apply function', () => {
             .catch(done);
         });
 
-        it('won\'t overwrite a file already in the compilation', (done) => {
-            runForce({
-                existingAsset: 'file.txt',
-                expectedAssetContent: 'existing',
-                patterns: [{
-                    from: 'file.txt'
-                }]
-            })
-            .then(done)
-            .catch(done);
-        });
-
-        it('can force overwrite of a file already in the compilation', (done) => {
-            runForce({
-                existingAsset: 'file.txt',
-                expectedAssetContent: 'new',
+        it('can use a template to name the file', (done) => {
+            runEmit({
+                expectedAssetKeys: [
+                    'nested/file-copy.txt'
+                ],
                 patterns: [{
-                    force: true,
-                    from: 'file.txt'
+                    from: 'file.txt',
+                    to: 'nested/[name]-copy.[ext]'
                 }]
             })
             .then(done)
             .catch(done);
         });
 
-        it('adds the file to the watch list', (done) => {
-            run({
+        it('can use a template with a content hash to name multiple files', (done) => {
+            runEmit({
+                expectedAssetKeys: [
+                    'file.' + md5('new').slice(0, 8) + '.txt',
+                    'directory/directoryfile.' + md5('new').slice(0, 8) + '.txt',
+                    'directory/nested/nestedfile.' + md5('').slice(0, 8) + '.txt'
+                ],
                 patterns: [{
-                    from: 'file.txt'
+                    from: '**/*.txt',
+                    to: '[path][name].[contenthash:8].[ext]'
                 }]
             })
-            .then((compilation) => {
-                const absFrom = path.join(HELPER_DIR, 'file.txt');
-
-                expect(compilation.fileDependencies).to.have.members([absFrom]);
-            })
             .then(done)
             .catch(done);
         });
 
-        it('only include files that have changed', (done) => {
-            runChange({
+        it('can use a template with a full hash to name a flattened file', (done) => {
+            runEmit({
                 expectedAssetKeys: [
-                    'tempfile1.txt'
+                    'nested/directoryfile-' + md5('new') + '.txt'
                 ],
-                newFileLoc1: path.join(HELPER_DIR, 'tempfile1.txt'),
-                newFileLoc2: path.join(HELPER_DIR, 'tempfile2.txt'),
                 patterns: [{
-                    from: 'tempfile1.txt'
-                }, {
-                    from: 'tempfile2.txt'
+                    flatten: true,
+                    from: 'directory/*.txt',
+                    to: 'nested/[path][name]-[hash].[ext]'
                 }]
             })
             .then(done)
             .catch(done);
         });
 
-        it('ignores files in pattern', (done) => {
+        it('can use the capture groups of test to name multiple files', (done) => {
             runEmit({
                 expectedAssetKeys: [
-                    'directory/directoryfile.txt',
-                    'directory/nested/nestedfile.txt'
+                    'helpers-file.txt',
+                    'directory-directoryfile.txt',
+                    'nested-nestedfile.txt'
                 ],
                 patterns: [{
                     from: '**/*.txt',
-                    ignore: [
-                        'file.*'
-                    ]
+                    test: /([^/]+)\/([^/]+)\.txt$/,
+                    to: '[1]-[2].txt'
                 }]
             })
             .then(done)
             .catch(done);
         });
-    });
 
-    describe('with directory in from', () => {
-        it('can move a directory\'s contents to the root directory', (done) => {
+        it('can move a file to a new file without placeholders using a template toType', (done) => {
             runEmit({
                 expectedAssetKeys: [
-                    'directoryfile.txt',
-                    'nested/nestedfile.txt'
+                    'newname'
                 ],
                 patterns: [{
-                    from: 'directory'
+                    from: 'file.txt',
+                    to: 'newname',
+                    toType: 'template'
                 }]
             })
             .then(done)
             .catch(done);
         });
 
-        it('can use an absolute path to move a directory\'s contents to the root directory', (done) => {
-            const absolutePath = path.resolve(HELPER_DIR, 'directory');
-
-            runEmit({
-                expectedAssetKeys: [
-                    'directoryfile.txt',
-                    'nested/nestedfile.txt'
-                ],
+        it('can use a function to name multiple files', (done) => {
+            run({
                 patterns: [{
-                    from: absolutePath
+                    from: '**/*.txt',
+                    to (file) {
+                        expect(file.context).to.equal(HELPER_DIR);
+                        expect(file.absoluteFrom).to.equal(path.join(HELPER_DIR, file.relativeFrom));
+                        expect(file.stat.isFile()).to.equal(true);
+
+                        return path.join('upper', file.relativeFrom.toUpperCase());
+                    }
                 }]
             })
+            .then((compilation) => {
+                expect(compilation.assets).to.have.all.keys([
+                    'upper/FILE.TXT',
+                    'upper/DIRECTORY/DIRECTORYFILE.TXT',
+                    'upper/DIRECTORY/NESTED/NESTEDFILE.TXT'
+                ]);
+            })
             .then(done)
             .catch(done);
         });
 
-        it('can move a directory\'s contents to a new directory', (done) => {
+        it('can use a function returning a promise to name a file', (done) => {
             runEmit({
                 expectedAssetKeys: [
-                    'newdirectory/directoryfile.txt',
-                    'newdirectory/nested/nestedfile.txt'
+                    'promised/file.txt'
                 ],
                 patterns: [{
-                    from: 'directory',
-                    to: 'newdirectory'
+                    from: 'file.txt',
+                    to (file) {
+                        return Promise.resolve(path.join(BUILD_DIR, 'promised', file.relativeFrom));
+                    }
                 }]
             })
             .then(done)
             .catch(done);
         });
 
-        it('can move a directory\'s contents to a new directory using a pattern context', (done) => {
-            runEmit({
-                expectedAssetKeys: [
-                    'newdirectory/nestedfile.txt'
-                ],
+        it('reports a function that doesn\'t return a file path as an error', (done) => {
+            run({
                 patterns: [{
-                    context: 'directory',
-                    from: 'nested',
-                    to: 'newdirectory'
+                    from: 'file.txt',
+                    to () {
+                        return null;
+                    }
                 }]
             })
+            .then(() => {
+                throw new Error('Expected the destination to be an error');
+            })
+            .catch((error) => {
+                expect(error.message).to.contain('to must return a file path');
+            })
             .then(done)
             .catch(done);
         });
 
-        it('can flatten a directory\'s contents to a new directory', (done) => {
-            runEmit({
-                expectedAssetKeys: [
-                    'newdirectory/directoryfile.txt',
-                    'newdirectory/nestedfile.txt'
-                ],
+        it('won\'t overwrite a file already in the compilation', (done) => {
+            runForce({
+                existingAsset: 'file.txt',
+                expectedAssetContent: 'existing',
                 patterns: [{
-                    flatten: true,
-                    from: 'directory',
-                    to: 'newdirectory'
+                    from: 'file.txt'
                 }]
             })
             .then(done)
             .catch(done);
         });
 
-        it('can move a directory\'s contents to a new directory using an absolute to', (done) => {
-            runEmit({
-                expectedAssetKeys: [
-                    '../tempdir/directoryfile.txt',
-                    '../tempdir/nested/nestedfile.txt'
-                ],
+        it('can force overwrite of a file already in the compilation', (done) => {
+            runForce({
+                existingAsset: 'file.txt',
+                expectedAssetContent: 'new',
                 patterns: [{
-                    from: 'directory',
-                    to: TEMP_DIR
+                    force: true,
+                    from: 'file.txt'
                 }]
             })
             .then(done)
             .catch(done);
         });
 
-        it('can move a nested directory\'s contents to the root directory', (done) => {
-            runEmit({
-                expectedAssetKeys: [
-                    'nestedfile.txt'
-                ],
+        it('can transform a file', (done) => {
+            run({
                 patterns: [{
-                    from: 'directory/nested'
+                    from: 'file.txt',
+                    transform (content, absolutePath) {
+                        return content.toString() + absolutePath;
+                    }
                 }]
             })
+            .then((compilation) => {
+                const absFrom = path.join(HELPER_DIR, 'file.txt');
+
+                expect(compilation.assets['file.txt'].source().toString()).to.equal('new' + absFrom);
+                expect(compilation.assets['file.txt'].size()).to.equal(('new' + absFrom).length);
+            })
             .then(done)
             .catch(done);
         });
 
-        it('can move a nested directory\'s contents to a new directory', (done) => {
-            runEmit({
-                expectedAssetKeys: [
-                    'newdirectory/nestedfile.txt'
-                ],
+        it('can transform a file with a promise', (done) => {
+            run({
                 patterns: [{
-                    from: 'directory/nested',
-                    to: 'newdirectory'
+                    from: 'file.txt',
+                    transform (content) {
+                        return Promise.resolve(content.toString().toUpperCase());
+                    }
                 }]
             })
+            .then((compilation) => {
+                expect(compilation.assets['file.txt'].source().toString()).to.equal('NEW');
+            })
             .then(done)
             .catch(done);
         });
 
-        it('can use an absolute path to move a nested directory\'s contents to a new directory', (done) => {
-            const absolutePath = path.resolve(HELPER_DIR, 'directory', 'nested');
+        it('can add a gzip compressed file', (done) => {
+            run({
+                patterns: [{
+                    compress: true,
+                    from: 'file.txt'
+                }]
+            })
+            .then((compilation) => {
+                expect(compilation.assets).to.have.all.keys(['file.txt', 'file.txt.gz']);
+                expect(zlib.gunzipSync(compilation.assets['file.txt.gz'].source()).toString()).to.equal('new');
+            })
+            .then(done)
+            .catch(done);
+        });
 
-            runEmit({
-                expectedAssetKeys: [
-                    'newdirectory/nestedfile.txt'
-                ],
+        (zlib.brotliCompress ? it : it.skip)('can add gzip and brotli compressed files', (done) => {
+            run({
                 patterns: [{
-                    from: absolutePath,
-                    to: 'newdirectory'
+                    compress: {
+                        algorithms: ['gzip', 'brotli']
+                    },
+                    from: 'file.txt'
                 }]
             })
+            .then((compilation) => {
+                expect(compilation.assets).to.have.all.keys(['file.txt', 'file.txt.gz', 'file.txt.br']);
+                expect(zlib.brotliDecompressSync(compilation.assets['file.txt.br'].source()).toString()).to.equal('new');
+            })
             .then(done)
             .catch(done);
         });
 
-        it('won\'t overwrite a file already in the compilation', (done) => {
+        it('won\'t overwrite a compressed file already in the compilation', (done) => {
             runForce({
-                existingAsset: 'directoryfile.txt',
+                existingAsset: 'file.txt.gz',
                 expectedAssetContent: 'existing',
                 patterns: [{
-                    from: 'directory'
+                    compress: true,
+                    from: 'file.txt'
                 }]
             })
             .then(done)
             .catch(done);
         });
 
-        it('can force overwrite of a file already in the compilation', (done) => {
-            runForce({
-                existingAsset: 'directoryfile.txt',
-                expectedAssetContent: 'new',
+        it('can force overwrite of a compressed file already in the compilation', (done) => {
+            run({
+                compilation: {
+                    assets: {
+                        'file.txt.gz': {
+                            source () {
+                                return 'existing';
+                            }
+                        }
+                    }
+                },
                 patterns: [{
+                    compress: true,
                     force: true,
-                    from: 'directory'
+                    from: 'file.txt'
                 }]
             })
+            .then((compilation) => {
+                expect(zlib.gunzipSync(compilation.assets['file.txt.gz'].source()).toString()).to.equal('new');
+            })
             .then(done)
             .catch(done);
         });
 
-        it('adds the directory to the watch list', (done) => {
+        it('only compresses files above the threshold that pass the test', (done) => {
+            runEmit({
+                expectedAssetKeys: [
+                    'file.txt',
+                    'directory/directoryfile.txt',
+                    'directory/directoryfile.txt.gz',
+                    'directory/nested/nestedfile.txt'
+                ],
+                patterns: [{
+                    compress: {
+                        test: /^directory\//,
+                        threshold: 1
+                    },
+                    from: '**/*.txt'
+                }]
+            })
+            .then(done)
+            .catch(done);
+        });
+
+        it('adds the file to the watch list', (done) => {
             run({
                 patterns: [{
-                    from: 'directory'
+                    from: 'file.txt'
                 }]
             })
             .then((compilation) => {
-                const absFrom = path.join(HELPER_DIR, 'directory');
+                const absFrom = path.join(HELPER_DIR, 'file.txt');
 
-                expect(compilation.contextDependencies).to.have.members([absFrom]);
+                expect(compilation.fileDependencies).to.have.members([absFrom]);
+            })
+            .then(done)
+            .catch(done);
+        });
+
+        it('doesn\'t add the context of a file to the watch list', (done) => {
+            run({
+                patterns: [{
+                    from: 'file.txt'
+                }]
+            })
+            .then((compilation) => {
+                expect(compilation.contextDependencies).to.deep.equal([]);
+            })
+            .then(done)
+            .catch(done);
+        });
+
+        it('adds the base directory of a glob to the watch list', (done) => {
+            run({
+                patterns: [{
+                    from: 'directory/**/*.txt'
+                }, {
+                    from: {
+                        dot: true,
+                        glob: 'directory/nested/*.txt'
+                    }
+                }, {
+                    from: path.join(HELPER_DIR, '*.txt')
+                }]
+            })
+            .then((compilation) => {
+                expect(compilation.contextDependencies).to.have.members([
+                    HELPER_DIR,
+                    path.join(HELPER_DIR, 'directory'),
+                    path.join(HELPER_DIR, 'directory', 'nested')
+                ]);
             })
             .then(done)
             .catch(done);
@@ -777,87 +1208,1411 @@ describe('apply function', () => {
                 expectedAssetKeys: [
                     'tempfile1.txt'
                 ],
-                newFileLoc1: path.join(HELPER_DIR, 'directory', 'tempfile1.txt'),
-                newFileLoc2: path.join(HELPER_DIR, 'directory', 'tempfile2.txt'),
+                newFileLoc1: path.join(HELPER_DIR, 'tempfile1.txt'),
+                newFileLoc2: path.join(HELPER_DIR, 'tempfile2.txt'),
                 patterns: [{
-                    from: 'directory'
+                    from: 'tempfile1.txt'
+                }, {
+                    from: 'tempfile2.txt'
                 }]
             })
             .then(done)
             .catch(done);
         });
 
-        it('include all files if copyUnmodified is true', (done) => {
+        it('doesn\'t read files again whose size, modification time and inode haven\'t changed', (done) => {
+            /* eslint-disable import/no-commonjs */
+            const fsExtra = require('fs-extra');
+            /* eslint-enable */
+            const readFile = fsExtra.readFile;
+            const compiler = new MockCompiler();
+            const readFiles = [];
+
+            run({
+                compiler,
+                options: {
+                    manifest: 'copy-manifest.json'
+                },
+                patterns: [{
+                    from: 'file.txt'
+                }]
+            })
+            .then(() => {
+                fsExtra.readFile = function (file) {
+                    readFiles.push(file);
+
+                    return readFile.apply(this, arguments);
+                };
+
+                return runAgain(compiler);
+            })
+            .finally(() => {
+                fsExtra.readFile = readFile;
+            })
+            .then((compilation) => {
+                const manifest = JSON.parse(compilation.assets['copy-manifest.json'].source().toString());
+
+                expect(readFiles).to.deep.equal([]);
+                expect(_.map(manifest, 'to')).to.deep.equal(['file.txt']);
+            })
+            .then(done)
+            .catch(done);
+        });
+
+        it('only include files whose content has changed, regardless of their modification time', (done) => {
             runChange({
                 expectedAssetKeys: [
-                    'directoryfile.txt',
-                    'nested/nestedfile.txt',
-                    'tempfile1.txt',
-                    'tempfile2.txt'
+                    'tempfile1.txt'
                 ],
-                newFileLoc1: path.join(HELPER_DIR, 'directory', 'tempfile1.txt'),
-                newFileLoc2: path.join(HELPER_DIR, 'directory', 'tempfile2.txt'),
+                mtime: new Date(2000, 0, 1),
+                newFileLoc1: path.join(HELPER_DIR, 'tempfile1.txt'),
+                newFileLoc2: path.join(HELPER_DIR, 'tempfile2.txt'),
+                patterns: [{
+                    from: 'tempfile1.txt'
+                }, {
+                    from: 'tempfile2.txt'
+                }]
+            })
+            .then(done)
+            .catch(done);
+        });
+
+        it('removes the output of deleted files', (done) => {
+            const compiler = new MockCompiler();
+            const newFileLoc = path.join(HELPER_DIR, 'tempfile1.txt');
+            const unlinkedFiles = [];
+
+            compiler.outputFileSystem.unlink = (file, callback) => {
+                unlinkedFiles.push(file);
+                callback();
+            };
+
+            fs.writeFileSync(newFileLoc, 'file1contents');
+
+            run({
+                compiler,
                 options: {
-                    copyUnmodified: true
+                    logLevel: 'silent',
+                    manifest: 'copy-manifest.json'
                 },
                 patterns: [{
-                    from: 'directory'
+                    from: 'tempfile1.txt'
+                }, {
+                    from: 'file.txt'
                 }]
             })
+            .then(() => {
+                fs.unlinkSync(newFileLoc);
+
+                return runAgain(compiler);
+            })
+            .then((compilation) => {
+                const manifest = JSON.parse(compilation.assets['copy-manifest.json'].source().toString());
+
+                expect(unlinkedFiles).to.deep.equal([path.join(BUILD_DIR, 'tempfile1.txt')]);
+                expect(_.map(manifest, 'to')).to.deep.equal(['file.txt']);
+            })
             .then(done)
             .catch(done);
         });
-    });
 
-    describe('options', () => {
-        describe('ignore', () => {
-            it('ignores files when from is a file', (done) => {
-                runEmit({
-                    expectedAssetKeys: [
-                        'directoryfile.txt'
-                    ],
-                    options: {
-                        ignore: [
-                            'file.*'
-                        ]
-                    },
-                    patterns: [{
-                        from: 'file.txt'
-                    }, {
-                        from: 'directory/directoryfile.txt'
-                    }]
-                })
-                .then(done)
-                .catch(done);
-            });
+        it('doesn\'t remove the output of deleted files that another plugin emits again', (done) => {
+            const compiler = new MockCompiler();
+            const newFileLoc = path.join(HELPER_DIR, 'tempfile1.txt');
+            const compilation = {
+                assets: {},
+                contextDependencies: [],
+                errors: [],
+                fileDependencies: [],
+                warnings: []
+            };
+            const unlinkedFiles = [];
 
-            it('ignores files when from is a directory', (done) => {
-                runEmit({
-                    expectedAssetKeys: [
-                        'directoryfile.txt'
-                    ],
-                    options: {
-                        ignore: [
-                            '*/nestedfile.*'
-                        ]
-                    },
-                    patterns: [{
-                        from: 'directory'
-                    }]
-                })
-                .then(done)
-                .catch(done);
-            });
+            compiler.outputFileSystem.unlink = (file, callback) => {
+                unlinkedFiles.push(file);
+                callback();
+            };
 
-            it('ignores files with a certain extension', (done) => {
-                runEmit({
-                    expectedAssetKeys: [],
-                    options: {
-                        ignore: [
-                            '*.txt'
-                        ]
-                    },
-                    patterns: [{
+            fs.writeFileSync(newFileLoc, 'file1contents');
+
+            run({
+                compiler,
+                options: {
+                    logLevel: 'silent'
+                },
+                patterns: [{
+                    from: 'tempfile1.txt'
+                }]
+            })
+            .then(() => {
+                fs.unlinkSync(newFileLoc);
+
+                return new Promise((res) => {
+                    compiler.emitFn(compilation, res);
+                });
+            })
+            .then(() => {
+                compilation.assets['tempfile1.txt'] = {
+                    source () {
+                        return 'other plugin';
+                    }
+                };
+
+                return new Promise((res) => {
+                    compiler.afterEmitFn(compilation, res);
+                });
+            })
+            .then(() => {
+                expect(unlinkedFiles).to.deep.equal([]);
+            })
+            .then(done)
+            .catch(done);
+        });
+
+        it('removes deleted files written to disk', (done) => {
+            const compiler = new MockCompiler();
+            const newFileLoc = path.join(HELPER_DIR, 'tempfile1.txt');
+            const outputFileLoc = path.join(BUILD_DIR, 'tempfile1.txt');
+
+            fs.writeFileSync(newFileLoc, 'file1contents');
+
+            run({
+                compiler,
+                options: {
+                    logLevel: 'silent',
+                    writeToDisk: true
+                },
+                patterns: [{
+                    from: 'tempfile1.txt'
+                }]
+            })
+            .then(() => {
+                expect(fs.existsSync(outputFileLoc)).to.equal(true);
+
+                fs.unlinkSync(newFileLoc);
+
+                return runAgain(compiler);
+            })
+            .then(() => {
+                expect(fs.existsSync(outputFileLoc)).to.equal(false);
+            })
+            .finally(() => {
+                fs.rmdirSync(BUILD_DIR);
+            })
+            .then(done)
+            .catch(done);
+        });
+
+        it('ignores files in pattern', (done) => {
+            runEmit({
+                expectedAssetKeys: [
+                    'directory/directoryfile.txt',
+                    'directory/nested/nestedfile.txt'
+                ],
+                patterns: [{
+                    from: '**/*.txt',
+                    ignore: [
+                        'file.*'
+                    ]
+                }]
+            })
+            .then(done)
+            .catch(done);
+        });
+    });
+
+    describe('with directory in from', () => {
+        it('can move a directory\'s contents to the root directory', (done) => {
+            runEmit({
+                expectedAssetKeys: [
+                    'directoryfile.txt',
+                    'nested/nestedfile.txt'
+                ],
+                patterns: [{
+                    from: 'directory'
+                }]
+            })
+            .then(done)
+            .catch(done);
+        });
+
+        it('can use an absolute path to move a directory\'s contents to the root directory', (done) => {
+            const absolutePath = path.resolve(HELPER_DIR, 'directory');
+
+            runEmit({
+                expectedAssetKeys: [
+                    'directoryfile.txt',
+                    'nested/nestedfile.txt'
+                ],
+                patterns: [{
+                    from: absolutePath
+                }]
+            })
+            .then(done)
+            .catch(done);
+        });
+
+        it('can move a directory\'s contents to a new directory', (done) => {
+            runEmit({
+                expectedAssetKeys: [
+                    'newdirectory/directoryfile.txt',
+                    'newdirectory/nested/nestedfile.txt'
+                ],
+                patterns: [{
+                    from: 'directory',
+                    to: 'newdirectory'
+                }]
+            })
+            .then(done)
+            .catch(done);
+        });
+
+        it('can move a directory\'s contents to a new directory using a pattern context', (done) => {
+            runEmit({
+                expectedAssetKeys: [
+                    'newdirectory/nestedfile.txt'
+                ],
+                patterns: [{
+                    context: 'directory',
+                    from: 'nested',
+                    to: 'newdirectory'
+                }]
+            })
+            .then(done)
+            .catch(done);
+        });
+
+        it('can flatten a directory\'s contents to a new directory', (done) => {
+            runEmit({
+                expectedAssetKeys: [
+                    'newdirectory/directoryfile.txt',
+                    'newdirectory/nestedfile.txt'
+                ],
+                patterns: [{
+                    flatten: true,
+                    from: 'directory',
+                    to: 'newdirectory'
+                }]
+            })
+            .then(done)
+            .catch(done);
+        });
+
+        it('can move a directory\'s contents to a new directory using an absolute to', (done) => {
+            runEmit({
+                expectedAssetKeys: [
+                    '../tempdir/directoryfile.txt',
+                    '../tempdir/nested/nestedfile.txt'
+                ],
+                patterns: [{
+                    from: 'directory',
+                    to: TEMP_DIR
+                }]
+            })
+            .then(done)
+            .catch(done);
+        });
+
+        it('can move a nested directory\'s contents to the root directory', (done) => {
+            runEmit({
+                expectedAssetKeys: [
+                    'nestedfile.txt'
+                ],
+                patterns: [{
+                    from: 'directory/nested'
+                }]
+            })
+            .then(done)
+            .catch(done);
+        });
+
+        it('can move a nested directory\'s contents to a new directory', (done) => {
+            runEmit({
+                expectedAssetKeys: [
+                    'newdirectory/nestedfile.txt'
+                ],
+                patterns: [{
+                    from: 'directory/nested',
+                    to: 'newdirectory'
+                }]
+            })
+            .then(done)
+            .catch(done);
+        });
+
+        it('can use an absolute path to move a nested directory\'s contents to a new directory', (done) => {
+            const absolutePath = path.resolve(HELPER_DIR, 'directory', 'nested');
+
+            runEmit({
+                expectedAssetKeys: [
+                    'newdirectory/nestedfile.txt'
+                ],
+                patterns: [{
+                    from: absolutePath,
+                    to: 'newdirectory'
+                }]
+            })
+            .then(done)
+            .catch(done);
+        });
+
+        it('can use a negated glob to exclude files from a directory', (done) => {
+            runEmit({
+                expectedAssetKeys: [
+                    'directoryfile.txt',
+                    'file.txt'
+                ],
+                patterns: [{
+                    from: [
+                        'directory',
+                        'file.txt',
+                        '!directory/nested/*'
+                    ]
+                }]
+            })
+            .then(done)
+            .catch(done);
+        });
+
+        it('can use a template to name a directory\'s contents', (done) => {
+            runEmit({
+                expectedAssetKeys: [
+                    'newdirectory/directoryfile.' + md5('new').slice(0, 6) + '.txt',
+                    'newdirectory/nested/nestedfile.' + md5('').slice(0, 6) + '.txt'
+                ],
+                patterns: [{
+                    from: 'directory',
+                    to: 'newdirectory/[path][name].[hash:6].[ext]'
+                }]
+            })
+            .then(done)
+            .catch(done);
+        });
+
+        it('only copies the files of a directory that match test', (done) => {
+            runEmit({
+                expectedAssetKeys: [
+                    'flat/nestedfile.txt'
+                ],
+                patterns: [{
+                    from: 'directory',
+                    test: /nested\/(\w+)\.txt$/,
+                    to: 'flat/[1].txt'
+                }]
+            })
+            .then(done)
+            .catch(done);
+        });
+
+        it('can use a function to name a directory\'s contents', (done) => {
+            runEmit({
+                expectedAssetKeys: [
+                    'directory-directoryfile.txt',
+                    'directory-nested-nestedfile.txt'
+                ],
+                patterns: [{
+                    from: 'directory',
+                    to (file) {
+                        return file.relativeFrom.split(path.sep).join('-');
+                    }
+                }]
+            })
+            .then(done)
+            .catch(done);
+        });
+
+        it('won\'t overwrite a file already in the compilation', (done) => {
+            runForce({
+                existingAsset: 'directoryfile.txt',
+                expectedAssetContent: 'existing',
+                patterns: [{
+                    from: 'directory'
+                }]
+            })
+            .then(done)
+            .catch(done);
+        });
+
+        it('can force overwrite of a file already in the compilation', (done) => {
+            runForce({
+                existingAsset: 'directoryfile.txt',
+                expectedAssetContent: 'new',
+                patterns: [{
+                    force: true,
+                    from: 'directory'
+                }]
+            })
+            .then(done)
+            .catch(done);
+        });
+
+        it('can transform a directory\'s contents', (done) => {
+            run({
+                patterns: [{
+                    from: 'directory',
+                    transform (content) {
+                        return content.toString() + 'transformed';
+                    }
+                }]
+            })
+            .then((compilation) => {
+                expect(compilation.assets['directoryfile.txt'].source().toString()).to.equal('newtransformed');
+                expect(compilation.assets['nested/nestedfile.txt'].source().toString()).to.equal('transformed');
+            })
+            .then(done)
+            .catch(done);
+        });
+
+        it('adds the directory to the watch list', (done) => {
+            run({
+                patterns: [{
+                    from: 'directory'
+                }]
+            })
+            .then((compilation) => {
+                const absFrom = path.join(HELPER_DIR, 'directory');
+
+                expect(compilation.contextDependencies).to.have.members([absFrom]);
+            })
+            .then(done)
+            .catch(done);
+        });
+
+        it('only include files that have changed', (done) => {
+            runChange({
+                expectedAssetKeys: [
+                    'tempfile1.txt'
+                ],
+                newFileLoc1: path.join(HELPER_DIR, 'directory', 'tempfile1.txt'),
+                newFileLoc2: path.join(HELPER_DIR, 'directory', 'tempfile2.txt'),
+                patterns: [{
+                    from: 'directory'
+                }]
+            })
+            .then(done)
+            .catch(done);
+        });
+
+        it('include all files if copyUnmodified is true', (done) => {
+            runChange({
+                expectedAssetKeys: [
+                    'directoryfile.txt',
+                    'nested/nestedfile.txt',
+                    'tempfile1.txt',
+                    'tempfile2.txt'
+                ],
+                newFileLoc1: path.join(HELPER_DIR, 'directory', 'tempfile1.txt'),
+                newFileLoc2: path.join(HELPER_DIR, 'directory', 'tempfile2.txt'),
+                options: {
+                    copyUnmodified: true
+                },
+                patterns: [{
+                    from: 'directory'
+                }]
+            })
+            .then(done)
+            .catch(done);
+        });
+    });
+
+    describe('with package in from', () => {
+        it('can use a glob to move files from an installed package', (done) => {
+            run({
+                patterns: [{
+                    from: {
+                        package: 'minimatch',
+                        path: '*.js'
+                    },
+                    to: 'vendor'
+                }]
+            })
+            .then((compilation) => {
+                const absFrom = path.join(__dirname, '..', 'node_modules', 'minimatch', 'minimatch.js');
+
+                expect(compilation.assets).to.have.all.keys([
+                    'vendor/minimatch.js'
+                ]);
+                expect(compilation.fileDependencies).to.have.members([absFrom]);
+            })
+            .then(done)
+            .catch(done);
+        });
+
+        it('can move a directory from an installed package', (done) => {
+            runEmit({
+                expectedAssetKeys: [
+                    'bluebird.js',
+                    'bluebird.min.js'
+                ],
+                patterns: [{
+                    from: {
+                        package: 'bluebird',
+                        path: 'js/browser'
+                    }
+                }]
+            })
+            .then(done)
+            .catch(done);
+        });
+
+        it('can use a glob to move files from a package that doesn\'t export its package.json', (done) => {
+            // package/node_modules/exported/
+            //   assets/file.txt
+            //   index.js
+            //   package.json
+            const packageRoot = path.join(PACKAGE_DIR, 'node_modules', 'exported');
+
+            fs.mkdirSync(PACKAGE_DIR);
+            fs.mkdirSync(path.join(PACKAGE_DIR, 'node_modules'));
+            fs.mkdirSync(packageRoot);
+            fs.mkdirSync(path.join(packageRoot, 'assets'));
+            fs.writeFileSync(path.join(packageRoot, 'assets', 'file.txt'), 'exported');
+            fs.writeFileSync(path.join(packageRoot, 'index.js'), '');
+            fs.writeFileSync(path.join(packageRoot, 'package.json'), JSON.stringify({
+                exports: {
+                    '.': './index.js'
+                },
+                name: 'exported'
+            }));
+
+            runEmit({
+                expectedAssetKeys: [
+                    'assets/file.txt'
+                ],
+                patterns: [{
+                    context: PACKAGE_DIR,
+                    from: {
+                        package: 'exported',
+                        path: 'assets/*.txt'
+                    }
+                }]
+            })
+            .finally(() => {
+                fs.unlinkSync(path.join(packageRoot, 'assets', 'file.txt'));
+                fs.unlinkSync(path.join(packageRoot, 'index.js'));
+                fs.unlinkSync(path.join(packageRoot, 'package.json'));
+                fs.rmdirSync(path.join(packageRoot, 'assets'));
+                fs.rmdirSync(packageRoot);
+                fs.rmdirSync(path.join(PACKAGE_DIR, 'node_modules'));
+                fs.rmdirSync(PACKAGE_DIR);
+            })
+            .then(done)
+            .catch(done);
+        });
+
+        it('reports a package that can\'t be resolved as an error', (done) => {
+            run({
+                patterns: [{
+                    from: {
+                        package: 'not-an-installed-package',
+                        path: '*.js'
+                    }
+                }]
+            })
+            .then(() => {
+                throw new Error('Expected the package to be an error');
+            })
+            .catch((error) => {
+                expect(error.message).to.contain('unable to resolve the package not-an-installed-package');
+            })
+            .then(done)
+            .catch(done);
+        });
+    });
+
+    describe('with archive in from', () => {
+        it('can move the entries of a zip archive matching a glob to a new directory', (done) => {
+            run({
+                patterns: [{
+                    context: ARCHIVE_DIR,
+                    from: {
+                        archive: 'vendor.zip',
+                        glob: 'fonts/**/*'
+                    },
+                    to: 'vendor'
+                }]
+            })
+            .then((compilation) => {
+                expect(compilation.assets).to.have.all.keys([
+                    'vendor/fonts/font.woff2',
+                    'vendor/fonts/nested/icon.woff2'
+                ]);
+                expect(compilation.assets['vendor/fonts/font.woff2'].source().toString()).to.equal('font');
+            })
+            .then(done)
+            .catch(done);
+        });
+
+        it('can flatten the entries of a gzipped tar archive', (done) => {
+            run({
+                patterns: [{
+                    flatten: true,
+                    from: {
+                        archive: path.join(ARCHIVE_DIR, 'vendor.tar.gz')
+                    }
+                }]
+            })
+            .then((compilation) => {
+                expect(compilation.assets).to.have.all.keys([
+                    'font.woff2',
+                    'icon.woff2',
+                    'readme.txt'
+                ]);
+                expect(compilation.assets['readme.txt'].source().toString()).to.equal(_.repeat('readme ', 50));
+            })
+            .then(done)
+            .catch(done);
+        });
+
+        it('can copy the entries of a gzipped tar archive matching a glob', (done) => {
+            runEmit({
+                expectedAssetKeys: [
+                    'readme.txt'
+                ],
+                patterns: [{
+                    context: ARCHIVE_DIR,
+                    from: {
+                        archive: 'vendor.tar.gz',
+                        glob: '*.txt'
+                    }
+                }]
+            })
+            .then(done)
+            .catch(done);
+        });
+
+        it('ignores entries of an archive', (done) => {
+            runEmit({
+                expectedAssetKeys: [
+                    'fonts/font.woff2',
+                    'fonts/nested/icon.woff2'
+                ],
+                patterns: [{
+                    context: ARCHIVE_DIR,
+                    from: {
+                        archive: 'vendor.zip'
+                    },
+                    ignore: [
+                        '*.txt'
+                    ]
+                }]
+            })
+            .then(done)
+            .catch(done);
+        });
+
+        it('excludes entries of an archive matching a negated glob', (done) => {
+            runEmit({
+                expectedAssetKeys: [
+                    'fonts/font.woff2',
+                    'fonts/nested/icon.woff2'
+                ],
+                patterns: [{
+                    context: ARCHIVE_DIR,
+                    from: [{
+                        archive: 'vendor.zip'
+                    }, '!**/*.txt']
+                }]
+            })
+            .then(done)
+            .catch(done);
+        });
+
+        it('adds the archive to the watch list', (done) => {
+            run({
+                patterns: [{
+                    context: ARCHIVE_DIR,
+                    from: {
+                        archive: 'vendor.zip'
+                    }
+                }]
+            })
+            .then((compilation) => {
+                expect(compilation.fileDependencies).to.have.members([path.join(ARCHIVE_DIR, 'vendor.zip')]);
+            })
+            .then(done)
+            .catch(done);
+        });
+
+        it('reports a file that isn\'t an archive as an error', (done) => {
+            run({
+                patterns: [{
+                    from: {
+                        archive: 'file.txt'
+                    }
+                }]
+            })
+            .then(() => {
+                throw new Error('Expected the archive to be an error');
+            })
+            .catch((error) => {
+                expect(error.message).to.contain('is not a zip or tar archive');
+            })
+            .then(done)
+            .catch(done);
+        });
+    });
+
+    describe('with content', () => {
+        it('can copy generated content to a file', (done) => {
+            run({
+                patterns: [{
+                    content: 'User-agent: *',
+                    to: 'robots.txt'
+                }]
+            })
+            .then((compilation) => {
+                expect(compilation.assets).to.have.all.keys(['robots.txt']);
+                expect(compilation.assets['robots.txt'].source().toString()).to.equal('User-agent: *');
+            })
+            .then(done)
+            .catch(done);
+        });
+
+        it('generates the content with a function on every emit', (done) => {
+            const compiler = new MockCompiler();
+            let builds;
+
+            builds = 0;
+
+            run({
+                compiler,
+                patterns: [{
+                    content () {
+                        builds++;
+
+                        return Promise.resolve(Buffer.from(JSON.stringify({
+                            build: builds
+                        })));
+                    },
+                    to: 'build-info.json'
+                }]
+            })
+            .then(() => {
+                return runAgain(compiler);
+            })
+            .then((compilation) => {
+                expect(compilation.assets['build-info.json'].source().toString()).to.equal('{"build":2}');
+            })
+            .then(done)
+            .catch(done);
+        });
+
+        it('won\'t overwrite a file already in the compilation', (done) => {
+            runForce({
+                existingAsset: 'file.txt',
+                expectedAssetContent: 'existing',
+                patterns: [{
+                    content: 'generated',
+                    to: 'file.txt'
+                }]
+            })
+            .then(done)
+            .catch(done);
+        });
+
+        it('can force overwrite of a file already in the compilation', (done) => {
+            runForce({
+                existingAsset: 'file.txt',
+                expectedAssetContent: 'generated',
+                patterns: [{
+                    content: 'generated',
+                    force: true,
+                    to: 'file.txt'
+                }]
+            })
+            .then(done)
+            .catch(done);
+        });
+
+        it('throws an error if content has no file path to copy to', () => {
+            const createPluginWithoutTo = () => {
+                CopyWebpackPlugin([{
+                    content: 'generated'
+                }]);
+            };
+
+            expect(createPluginWithoutTo).to.throw('patterns[0].to must be a file path when the pattern has content');
+        });
+
+        it('throws an error if a pattern has both from and content', () => {
+            const createPluginWithBoth = () => {
+                CopyWebpackPlugin([{
+                    content: 'generated',
+                    from: 'file.txt',
+                    to: 'file.txt'
+                }]);
+            };
+
+            expect(createPluginWithBoth).to.throw('patterns[0] can\'t have both from and content');
+        });
+    });
+
+    describe('with merge', () => {
+        // merge/
+        //   en/
+        //     a.json
+        //     b.json
+        //   vendor/
+        //     1.js
+        //     2.js
+        beforeEach(() => {
+            fs.mkdirSync(MERGE_DIR);
+            fs.mkdirSync(path.join(MERGE_DIR, 'en'));
+            fs.mkdirSync(path.join(MERGE_DIR, 'vendor'));
+            fs.writeFileSync(path.join(MERGE_DIR, 'en', 'a.json'), '{"app": {"title": "App"}}');
+            fs.writeFileSync(path.join(MERGE_DIR, 'en', 'b.json'), '{"app": {"save": "Save"}}');
+            fs.writeFileSync(path.join(MERGE_DIR, 'vendor', '1.js'), 'one();');
+            fs.writeFileSync(path.join(MERGE_DIR, 'vendor', '2.js'), 'two();\n');
+        });
+
+        afterEach(() => {
+            fs.unlinkSync(path.join(MERGE_DIR, 'en', 'a.json'));
+            fs.unlinkSync(path.join(MERGE_DIR, 'en', 'b.json'));
+            fs.unlinkSync(path.join(MERGE_DIR, 'vendor', '1.js'));
+            fs.unlinkSync(path.join(MERGE_DIR, 'vendor', '2.js'));
+            fs.rmdirSync(path.join(MERGE_DIR, 'en'));
+            fs.rmdirSync(path.join(MERGE_DIR, 'vendor'));
+            fs.rmdirSync(MERGE_DIR);
+        });
+
+        it('can deeply merge JSON files into one file', (done) => {
+            run({
+                patterns: [{
+                    context: MERGE_DIR,
+                    from: 'en/*.json',
+                    merge: 'json-deep',
+                    to: 'locales/en.json'
+                }]
+            })
+            .then((compilation) => {
+                expect(compilation.assets).to.have.all.keys(['locales/en.json']);
+                expect(JSON.parse(compilation.assets['locales/en.json'].source().toString())).to.deep.equal({
+                    app: {
+                        save: 'Save',
+                        title: 'App'
+                    }
+                });
+                expect(compilation.fileDependencies).to.have.members([
+                    path.join(MERGE_DIR, 'en', 'a.json'),
+                    path.join(MERGE_DIR, 'en', 'b.json')
+                ]);
+            })
+            .then(done)
+            .catch(done);
+        });
+
+        it('can concatenate files in the order of from', (done) => {
+            run({
+                patterns: [{
+                    context: MERGE_DIR,
+                    from: [
+                        'vendor/2.js',
+                        'vendor/*.js'
+                    ],
+                    merge: 'concat',
+                    to: 'vendor.js'
+                }]
+            })
+            .then((compilation) => {
+                expect(compilation.assets['vendor.js'].source().toString()).to.equal('two();\none();');
+            })
+            .then(done)
+            .catch(done);
+        });
+
+        it('can merge files with a reducer', (done) => {
+            run({
+                patterns: [{
+                    context: MERGE_DIR,
+                    from: 'en',
+                    merge (merged, content, absolutePath) {
+                        return (merged || '') + path.basename(absolutePath) + ',';
+                    },
+                    to: 'names.txt'
+                }]
+            })
+            .then((compilation) => {
+                expect(compilation.assets['names.txt'].source().toString()).to.equal('a.json,b.json,');
+            })
+            .then(done)
+            .catch(done);
+        });
+
+        it('only includes the merged file if it has changed', (done) => {
+            const compiler = new MockCompiler();
+
+            run({
+                compiler,
+                patterns: [{
+                    context: MERGE_DIR,
+                    from: 'vendor/*.js',
+                    merge: 'concat',
+                    to: 'vendor.js'
+                }]
+            })
+            .then(() => {
+                return runAgain(compiler);
+            })
+            .then((compilation) => {
+                expect(compilation.assets).to.deep.equal({});
+
+                fs.writeFileSync(path.join(MERGE_DIR, 'vendor', '2.js'), 'three();');
+
+                return runAgain(compiler);
+            })
+            .then((compilation) => {
+                expect(compilation.assets['vendor.js'].source().toString()).to.equal('one();\nthree();');
+            })
+            .then(done)
+            .catch(done);
+        });
+
+        it('throws an error if merge has no file path to copy to', () => {
+            const createPluginWithoutTo = () => {
+                CopyWebpackPlugin([{
+                    from: 'directory',
+                    merge: 'concat'
+                }]);
+            };
+
+            expect(createPluginWithoutTo).to.throw('patterns[0].to must be a file path when the pattern has merge');
+        });
+    });
+
+    describe('with interpolate', () => {
+        // interpolate/
+        //   config.template.json
+        //   index.html
+        beforeEach(() => {
+            fs.mkdirSync(INTERPOLATE_DIR);
+            fs.writeFileSync(path.join(INTERPOLATE_DIR, 'config.template.json'), '{"api": "%API_URL%"}');
+            fs.writeFileSync(path.join(INTERPOLATE_DIR, 'index.html'), '<script src="%API_URL%/app.js"></script>');
+        });
+
+        afterEach(() => {
+            fs.unlinkSync(path.join(INTERPOLATE_DIR, 'config.template.json'));
+            fs.unlinkSync(path.join(INTERPOLATE_DIR, 'index.html'));
+            fs.rmdirSync(INTERPOLATE_DIR);
+        });
+
+        it('replaces variables in copied files', (done) => {
+            run({
+                patterns: [{
+                    context: INTERPOLATE_DIR,
+                    from: '*',
+                    interpolate: {
+                        variables: {
+                            API_URL: 'https://example.com'
+                        }
+                    }
+                }]
+            })
+            .then((compilation) => {
+                expect(compilation.assets['config.template.json'].source().toString()).to.equal('{"api": "https://example.com"}');
+                expect(compilation.assets['index.html'].source().toString()).to.equal('<script src="https://example.com/app.js"></script>');
+            })
+            .then(done)
+            .catch(done);
+        });
+
+        it('replaces variables in copied text files', (done) => {
+            run({
+                patterns: [{
+                    content: '{"api": "%API_URL%"}',
+                    interpolate: {
+                        variables: {
+                            API_URL: 'https://example.com'
+                        }
+                    },
+                    to: 'config.json'
+                }]
+            })
+            .then((compilation) => {
+                expect(compilation.assets['config.json'].source().toString()).to.equal('{"api": "https://example.com"}');
+            })
+            .then(done)
+            .catch(done);
+        });
+
+        it('can replace process.env variables with custom delimiters', (done) => {
+            process.env.COPY_WEBPACK_PLUGIN_TITLE = 'Title';
+
+            run({
+                options: {
+                    interpolate: {
+                        delimiters: ['${', '}']
+                    }
+                },
+                patterns: [{
+                    content: '<title>${process.env.COPY_WEBPACK_PLUGIN_TITLE}</title>',
+                    to: 'index.html'
+                }]
+            })
+            .then((compilation) => {
+                expect(compilation.assets['index.html'].source().toString()).to.equal('<title>Title</title>');
+            })
+            .then(() => {
+                delete process.env.COPY_WEBPACK_PLUGIN_TITLE;
+            })
+            .then(done)
+            .catch(done);
+        });
+
+        it('leaves printf-style placeholders unchanged', (done) => {
+            run({
+                patterns: [{
+                    content: 'console.log("%s %d", a, b);',
+                    interpolate: true,
+                    to: 'log.js'
+                }]
+            })
+            .then((compilation) => {
+                expect(compilation.assets['log.js'].source().toString()).to.equal('console.log("%s %d", a, b);');
+            })
+            .then(done)
+            .catch(done);
+        });
+
+        it('leaves percent-encoded URLs unchanged', (done) => {
+            run({
+                patterns: [{
+                    content: '<a href="https://example.com/caf%C3%A9">%E2%80%99%TITLE%</a>',
+                    interpolate: {
+                        variables: {
+                            TITLE: 'Menu'
+                        }
+                    },
+                    to: 'index.html'
+                }]
+            })
+            .then((compilation) => {
+                expect(compilation.assets['index.html'].source().toString()).to.equal('<a href="https://example.com/caf%C3%A9">%E2%80%99Menu</a>');
+            })
+            .then(done)
+            .catch(done);
+        });
+
+        it('leaves files with other extensions unchanged', (done) => {
+            run({
+                patterns: [{
+                    content: '%API_URL%',
+                    interpolate: {
+                        extensions: ['.json'],
+                        variables: {
+                            API_URL: 'https://example.com'
+                        }
+                    },
+                    to: 'config.txt'
+                }]
+            })
+            .then((compilation) => {
+                expect(compilation.assets['config.txt'].source().toString()).to.equal('%API_URL%');
+            })
+            .then(done)
+            .catch(done);
+        });
+
+        it('adds an error if a variable is undefined', (done) => {
+            run({
+                patterns: [{
+                    content: '%COPY_WEBPACK_PLUGIN_UNDEFINED%',
+                    interpolate: true,
+                    to: 'config.json'
+                }]
+            })
+            .then(() => {
+                throw new Error('Expected the variable to be an error');
+            })
+            .catch((error) => {
+                expect(error.message).to.equal('CopyWebpackPlugin: content:config.json uses the undefined variable COPY_WEBPACK_PLUGIN_UNDEFINED');
+            })
+            .then(done)
+            .catch(done);
+        });
+
+        it('throws an error if interpolate is not a boolean or an object', () => {
+            const createPluginWithInvalidInterpolate = () => {
+                CopyWebpackPlugin([{
+                    from: 'file.txt',
+                    interpolate: {
+                        delimiters: '%'
+                    }
+                }]);
+            };
+
+            expect(createPluginWithInvalidInterpolate).to.throw('patterns[0].interpolate must be a boolean or an object with delimiters, extensions and variables');
+        });
+    });
+
+    describe('with several compilers', () => {
+        it('resolves the same patterns against the context of each compiler', (done) => {
+            const patterns = [{
+                context: '.',
+                from: {
+                    glob: '*.txt'
+                }
+            }];
+            const originalPatterns = _.cloneDeep(patterns);
+            const plugin = CopyWebpackPlugin(patterns);
+            const clientCompiler = new MockCompiler();
+            const serverCompiler = new MockCompiler();
+
+            serverCompiler.options.context = path.join(HELPER_DIR, 'directory');
+
+            plugin.apply(clientCompiler);
+            plugin.apply(serverCompiler);
+
+            runAgain(clientCompiler)
+            .then((compilation) => {
+                expect(compilation.assets).to.have.all.keys(['file.txt']);
+
+                return runAgain(serverCompiler);
+            })
+            .then((compilation) => {
+                expect(compilation.assets).to.have.all.keys(['directoryfile.txt']);
+
+                return runAgain(clientCompiler);
+            })
+            .then((compilation) => {
+                expect(compilation.errors).to.deep.equal([]);
+                expect(patterns).to.deep.equal(originalPatterns);
+            })
+            .then(done)
+            .catch(done);
+        });
+    });
+
+    describe('with newer webpack versions', () => {
+        it('registers with the hooks of webpack 4', (done) => {
+            runEmit({
+                compiler: new MockHooksCompiler(),
+                expectedAssetKeys: [
+                    'file.txt'
+                ],
+                patterns: [{
+                    from: 'file.txt'
+                }]
+            })
+            .then(done)
+            .catch(done);
+        });
+
+        it('adds RawSource assets while processing assets in webpack 5', (done) => {
+            const compiler = new MockProcessAssetsCompiler();
+
+            run({
+                compiler,
+                patterns: [{
+                    from: 'file.txt'
+                }]
+            })
+            .then((compilation) => {
+                expect(compiler.processAssetsStage).to.equal(-2000);
+                expect(compilation.assets['file.txt']).to.be.an.instanceof(MockRawSource);
+                expect(compilation.assets['file.txt'].source().toString()).to.equal('new');
+            })
+            .then(done)
+            .catch(done);
+        });
+
+        it('adds the assets of unchanged files to every compilation in webpack 5', (done) => {
+            const compiler = new MockProcessAssetsCompiler();
+
+            run({
+                compiler,
+                patterns: [{
+                    compress: true,
+                    from: 'file.txt'
+                }]
+            })
+            .then(() => {
+                return runAgain(compiler);
+            })
+            .then((compilation) => {
+                expect(compilation.errors).to.deep.equal([]);
+                expect(compilation.assets).to.have.all.keys('file.txt', 'file.txt.gz');
+                expect(compilation.assets['file.txt'].source().toString()).to.equal('new');
+            })
+            .then(done)
+            .catch(done);
+        });
+
+        it('replaces assets through the compilation in webpack 5', (done) => {
+            const compiler = new MockProcessAssetsCompiler();
+
+            run({
+                compilation: {
+                    assets: {
+                        'file.txt': new MockRawSource(Buffer.from('existing'))
+                    }
+                },
+                compiler,
+                options: {
+                    manifest: 'manifest.json'
+                },
+                patterns: [{
+                    force: true,
+                    from: 'file.txt'
+                }]
+            })
+            .then((compilation) => {
+                expect(compilation.assets).to.have.all.keys('file.txt', 'manifest.json');
+                expect(compilation.assets['file.txt'].source().toString()).to.equal('new');
+            })
+            .then(done)
+            .catch(done);
+        });
+
+        it('adds its dependencies to sets', (done) => {
+            run({
+                compilation: {
+                    contextDependencies: new Set(),
+                    fileDependencies: new Set()
+                },
+                compiler: new MockHooksCompiler(),
+                patterns: [{
+                    from: 'directory'
+                }, {
+                    from: 'file.txt'
+                }]
+            })
+            .then((compilation) => {
+                expect([...compilation.contextDependencies]).to.deep.equal([path.join(HELPER_DIR, 'directory')]);
+                expect([...compilation.fileDependencies]).to.deep.equal([path.join(HELPER_DIR, 'file.txt')]);
+            })
+            .then(done)
+            .catch(done);
+        });
+    });
+
+    describe('options', () => {
+        describe('ignore', () => {
+            it('ignores files when from is a file', (done) => {
+                runEmit({
+                    expectedAssetKeys: [
+                        'directoryfile.txt'
+                    ],
+                    options: {
+                        ignore: [
+                            'file.*'
+                        ]
+                    },
+                    patterns: [{
+                        from: 'file.txt'
+                    }, {
+                        from: 'directory/directoryfile.txt'
+                    }]
+                })
+                .then(done)
+                .catch(done);
+            });
+
+            it('ignores files when from is a directory', (done) => {
+                runEmit({
+                    expectedAssetKeys: [
+                        'directoryfile.txt'
+                    ],
+                    options: {
+                        ignore: [
+                            '*/nestedfile.*'
+                        ]
+                    },
+                    patterns: [{
+                        from: 'directory'
+                    }]
+                })
+                .then(done)
+                .catch(done);
+            });
+
+            it('ignores files with a certain extension', (done) => {
+                runEmit({
+                    expectedAssetKeys: [],
+                    options: {
+                        ignore: [
+                            '*.txt'
+                        ]
+                    },
+                    patterns: [{
+                        from: 'directory'
+                    }]
+                })
+                .then(done)
+                .catch(done);
+            });
+
+            it('ignores files that start with a dot', (done) => {
+                runEmit({
+                    expectedAssetKeys: [
+                        'file.txt',
+                        'directory/directoryfile.txt',
+                        'directory/nested/nestedfile.txt'
+                    ],
+                    options: {
+                        ignore: [
+                            '.dotted_file'
+                        ]
+                    },
+                    patterns: [{
+                        from: '.'
+                    }]
+                })
+                .then(done)
+                .catch(done);
+            });
+
+            it.skip('ignores all files except those with dots', (done) => {
+                runEmit({
+                    expectedAssetKeys: [
+                        '.dotted_file'
+                    ],
+                    options: {
+                        ignore: [
+                            '**/*'
+                        ]
+                    },
+                    patterns: [{
+                        from: '.'
+                    }]
+                })
+                .then(done)
+                .catch(done);
+            });
+
+            it('ignores all files even if they start with a dot', (done) => {
+                runEmit({
+                    expectedAssetKeys: [],
+                    options: {
+                        ignore: [{
+                            dot: true,
+                            glob: '**/*'
+                        }]
+                    },
+                    patterns: [{
+                        from: '.'
+                    }]
+
+                })
+                .then(done)
+                .catch(done);
+            });
+        });
+
+        describe('concurrency', () => {
+            it('copies every file with a single file system operation at a time', (done) => {
+                runEmit({
+                    expectedAssetKeys: [
+                        'file.txt',
+                        'directoryfile.txt',
+                        'nested/nestedfile.txt'
+                    ],
+                    options: {
+                        concurrency: 1
+                    },
+                    patterns: [{
+                        from: 'file.txt'
+                    }, {
                         from: 'directory'
                     }]
                 })
@@ -865,57 +2620,810 @@ describe('apply function', () => {
                 .catch(done);
             });
 
-            it('ignores files that start with a dot', (done) => {
+            it('keeps the file of the first pattern when patterns overlap', (done) => {
+                run({
+                    patterns: [{
+                        from: 'file.txt',
+                        to: 'same.txt',
+                        transform () {
+                            return Promise.delay(50).return('first');
+                        }
+                    }, {
+                        from: 'directory/directoryfile.txt',
+                        to: 'same.txt',
+                        transform () {
+                            return 'second';
+                        }
+                    }]
+                })
+                .then((compilation) => {
+                    expect(compilation.assets['same.txt'].source().toString()).to.equal('first');
+                })
+                .then(done)
+                .catch(done);
+            });
+
+            it('keeps the file of a later forced pattern when patterns overlap', (done) => {
+                run({
+                    patterns: [{
+                        from: 'file.txt',
+                        to: 'same.txt',
+                        transform () {
+                            return 'first';
+                        }
+                    }, {
+                        force: true,
+                        from: 'directory/directoryfile.txt',
+                        to: 'same.txt',
+                        transform () {
+                            return Promise.delay(50).return('second');
+                        }
+                    }]
+                })
+                .then((compilation) => {
+                    expect(compilation.assets['same.txt'].source().toString()).to.equal('second');
+                })
+                .then(done)
+                .catch(done);
+            });
+        });
+
+        describe('symlinks', () => {
+            // symlinks/
+            //   linkeddir -> real
+            //   linkedfile.txt -> real/file.txt
+            //   real/
+            //     cycle -> ..
+            //     file.txt
+            beforeEach(() => {
+                fs.mkdirSync(SYMLINK_DIR);
+                fs.mkdirSync(path.join(SYMLINK_DIR, 'real'));
+                fs.writeFileSync(path.join(SYMLINK_DIR, 'real', 'file.txt'), 'real');
+                fs.symlinkSync('..', path.join(SYMLINK_DIR, 'real', 'cycle'), 'dir');
+                fs.symlinkSync('real', path.join(SYMLINK_DIR, 'linkeddir'), 'dir');
+                fs.symlinkSync(path.join('real', 'file.txt'), path.join(SYMLINK_DIR, 'linkedfile.txt'), 'file');
+            });
+
+            afterEach(() => {
+                fs.unlinkSync(path.join(SYMLINK_DIR, 'linkedfile.txt'));
+                fs.unlinkSync(path.join(SYMLINK_DIR, 'linkeddir'));
+                fs.unlinkSync(path.join(SYMLINK_DIR, 'real', 'cycle'));
+                fs.unlinkSync(path.join(SYMLINK_DIR, 'real', 'file.txt'));
+                fs.rmdirSync(path.join(SYMLINK_DIR, 'real'));
+                fs.rmdirSync(SYMLINK_DIR);
+            });
+
+            it('follows symbolic links in a directory by default, without following cycles', (done) => {
+                runEmit({
+                    expectedAssetKeys: [
+                        'linkeddir/file.txt',
+                        'linkedfile.txt',
+                        'real/file.txt'
+                    ],
+                    patterns: [{
+                        from: SYMLINK_DIR
+                    }]
+                })
+                .then(done)
+                .catch(done);
+            });
+
+            it('follows symbolic links matched by a glob by default, without following cycles', (done) => {
+                runEmit({
+                    expectedAssetKeys: [
+                        'linkeddir/file.txt',
+                        'linkedfile.txt',
+                        'real/file.txt'
+                    ],
+                    patterns: [{
+                        context: SYMLINK_DIR,
+                        from: '**/*.txt'
+                    }]
+                })
+                .then(done)
+                .catch(done);
+            });
+
+            it('can skip symbolic links in a directory', (done) => {
+                runEmit({
+                    expectedAssetKeys: [
+                        'real/file.txt'
+                    ],
+                    options: {
+                        symlinks: 'skip'
+                    },
+                    patterns: [{
+                        from: SYMLINK_DIR
+                    }]
+                })
+                .then(done)
+                .catch(done);
+            });
+
+            it('can skip symbolic links matched by a glob', (done) => {
+                runEmit({
+                    expectedAssetKeys: [
+                        'real/file.txt'
+                    ],
+                    patterns: [{
+                        context: SYMLINK_DIR,
+                        from: '**/*.txt',
+                        symlinks: 'skip'
+                    }]
+                })
+                .then(done)
+                .catch(done);
+            });
+
+            it('can report symbolic links in a directory as an error', (done) => {
+                run({
+                    options: {
+                        symlinks: 'error'
+                    },
+                    patterns: [{
+                        from: SYMLINK_DIR
+                    }]
+                })
+                .then(() => {
+                    throw new Error('Expected the symbolic link to be an error');
+                })
+                .catch((error) => {
+                    expect(error.message).to.contain('is a symbolic link');
+                })
+                .then(done)
+                .catch(done);
+            });
+
+            it('can report symbolic links matched by a glob as an error', (done) => {
+                run({
+                    patterns: [{
+                        context: SYMLINK_DIR,
+                        from: '*.txt',
+                        symlinks: 'error'
+                    }]
+                })
+                .then(() => {
+                    throw new Error('Expected the symbolic link to be an error');
+                })
+                .catch((error) => {
+                    expect(error.message).to.contain(path.join(SYMLINK_DIR, 'linkedfile.txt'));
+                })
+                .then(done)
+                .catch(done);
+            });
+        });
+
+        describe('onCollision', () => {
+            const collidingPatterns = [{
+                from: 'file.txt',
+                to: 'same.txt'
+            }, {
+                from: 'directory/directoryfile.txt',
+                to: 'same.txt',
+                transform () {
+                    return 'second';
+                }
+            }];
+
+            it('warns when two files are copied to the same destination by default', (done) => {
+                run({
+                    patterns: collidingPatterns
+                })
+                .then((compilation) => {
+                    expect(compilation.assets['same.txt'].source().toString()).to.equal('new');
+                    expect(compilation.warnings).to.have.length(1);
+                    expect(compilation.warnings[0].message).to.contain(path.join(HELPER_DIR, 'file.txt'));
+                    expect(compilation.warnings[0].message).to.contain(path.join(HELPER_DIR, 'directory', 'directoryfile.txt'));
+                })
+                .then(done)
+                .catch(done);
+            });
+
+            it('can report an error when two files are copied to the same destination', (done) => {
+                run({
+                    options: {
+                        onCollision: 'error'
+                    },
+                    patterns: collidingPatterns
+                })
+                .then(() => {
+                    throw new Error('Expected the collision to be an error');
+                })
+                .catch((error) => {
+                    expect(error.message).to.contain('same.txt');
+                })
+                .then(done)
+                .catch(done);
+            });
+
+            it('can silently keep the first file', (done) => {
+                run({
+                    options: {
+                        onCollision: 'first'
+                    },
+                    patterns: collidingPatterns
+                })
+                .then((compilation) => {
+                    expect(compilation.assets['same.txt'].source().toString()).to.equal('new');
+                    expect(compilation.warnings).to.deep.equal([]);
+                })
+                .then(done)
+                .catch(done);
+            });
+
+            it('can keep the last file', (done) => {
+                run({
+                    options: {
+                        onCollision: 'last'
+                    },
+                    patterns: collidingPatterns
+                })
+                .then((compilation) => {
+                    expect(compilation.assets['same.txt'].source().toString()).to.equal('second');
+                })
+                .then(done)
+                .catch(done);
+            });
+
+            it('can rename the later file', (done) => {
+                run({
+                    options: {
+                        onCollision: 'rename'
+                    },
+                    patterns: collidingPatterns
+                })
+                .then((compilation) => {
+                    expect(compilation.assets).to.have.all.keys(['same.txt', 'same-1.txt']);
+                    expect(compilation.assets['same-1.txt'].source().toString()).to.equal('second');
+                })
+                .then(done)
+                .catch(done);
+            });
+
+            it('doesn\'t report the same file copied twice to the same destination', (done) => {
+                run({
+                    patterns: [{
+                        from: 'file.txt'
+                    }, {
+                        from: '*.txt'
+                    }]
+                })
+                .then((compilation) => {
+                    expect(compilation.assets).to.have.all.keys(['file.txt']);
+                    expect(compilation.warnings).to.deep.equal([]);
+                })
+                .then(done)
+                .catch(done);
+            });
+        });
+
+        describe('strict', () => {
+            it('doesn\'t report patterns that match no files by default', (done) => {
                 runEmit({
-                    expectedAssetKeys: [
-                        'file.txt',
-                        'directory/directoryfile.txt',
-                        'directory/nested/nestedfile.txt'
-                    ],
+                    expectedAssetKeys: [],
                     options: {
-                        ignore: [
-                            '.dotted_file'
-                        ]
+                        logLevel: 'silent'
                     },
                     patterns: [{
-                        from: '.'
+                        from: 'nonexistent.txt'
                     }]
                 })
                 .then(done)
                 .catch(done);
             });
 
-            it.skip('ignores all files except those with dots', (done) => {
-                runEmit({
-                    expectedAssetKeys: [
-                        '.dotted_file'
-                    ],
+            it('can report a pattern that matches no files as an error', (done) => {
+                run({
+                    options: {
+                        strict: true
+                    },
+                    patterns: [{
+                        from: 'file.txt'
+                    }, {
+                        from: 'nonexistent/*.txt'
+                    }]
+                })
+                .then(() => {
+                    throw new Error('Expected the pattern to be an error');
+                })
+                .catch((error) => {
+                    expect(error.message).to.contain('"nonexistent/*.txt"');
+                    expect(error.message).to.contain(path.join(HELPER_DIR, 'nonexistent', '*.txt'));
+                })
+                .then(done)
+                .catch(done);
+            });
+
+            it('can report a pattern that matches no files as a warning', (done) => {
+                run({
+                    patterns: [{
+                        from: 'nonexistent.txt',
+                        strict: 'warn'
+                    }]
+                })
+                .then((compilation) => {
+                    expect(compilation.warnings).to.have.length(1);
+                    expect(compilation.warnings[0].message).to.contain(path.join(HELPER_DIR, 'nonexistent.txt'));
+                })
+                .then(done)
+                .catch(done);
+            });
+
+            it('doesn\'t report a pattern whose files are all excluded by ignore or test', (done) => {
+                run({
                     options: {
+                        strict: true
+                    },
+                    patterns: [{
+                        from: 'file.txt',
                         ignore: [
-                            '**/*'
+                            'file.txt'
                         ]
+                    }, {
+                        from: 'directory',
+                        test: /\.js$/
+                    }]
+                })
+                .then((compilation) => {
+                    expect(compilation.assets).to.deep.equal({});
+                    expect(compilation.warnings).to.deep.equal([]);
+                })
+                .then(done)
+                .catch(done);
+            });
+
+            it('can turn off strict for a pattern', (done) => {
+                run({
+                    options: {
+                        logLevel: 'silent',
+                        strict: true
                     },
                     patterns: [{
-                        from: '.'
+                        from: 'nonexistent.txt',
+                        strict: false
                     }]
                 })
+                .then((compilation) => {
+                    expect(compilation.warnings).to.deep.equal([]);
+                })
                 .then(done)
                 .catch(done);
             });
+        });
 
-            it('ignores all files even if they start with a dot', (done) => {
-                runEmit({
-                    expectedAssetKeys: [],
-                    options: {
-                        ignore: [{
-                            dot: true,
-                            glob: '**/*'
+        describe('logLevel', () => {
+            // Runs the function and returns everything it logged
+            const captureLogs = (fn) => {
+                /* eslint-disable no-console */
+                const log = console.log;
+                const warn = console.warn;
+                const logs = [];
+
+                console.log = console.warn = (message) => {
+                    logs.push(message);
+                };
+
+                return Promise
+                    .try(fn)
+                    .finally(() => {
+                        console.log = log;
+                        console.warn = warn;
+                    })
+                    .then(() => {
+                        return logs;
+                    });
+                /* eslint-enable */
+            };
+
+            it('only logs patterns that match no files by default', (done) => {
+                captureLogs(() => {
+                    return run({
+                        patterns: [{
+                            from: 'file.txt'
+                        }, {
+                            from: 'nonexistent.txt'
+                        }]
+                    });
+                })
+                .then((logs) => {
+                    expect(logs).to.have.length(1);
+                    expect(logs[0]).to.contain('patterns[1] from "nonexistent.txt"');
+                    expect(logs[0]).to.contain(path.join(HELPER_DIR, 'nonexistent.txt'));
+                })
+                .then(done)
+                .catch(done);
+            });
+
+            it('logs patterns whose files are all excluded at info', (done) => {
+                captureLogs(() => {
+                    return run({
+                        options: {
+                            logLevel: 'info'
+                        },
+                        patterns: [{
+                            from: 'directory',
+                            ignore: [
+                                '*.txt'
+                            ]
+                        }]
+                    });
+                })
+                .then((logs) => {
+                    expect(logs).to.include('CopyWebpackPlugin: patterns[0] from "directory" in ' + HELPER_DIR +
+                        ' copied no files, 2 excluded by ignore, test or a negated glob');
+                })
+                .then(done)
+                .catch(done);
+            });
+
+            it('doesn\'t log anything when silent', (done) => {
+                captureLogs(() => {
+                    return run({
+                        options: {
+                            logLevel: 'silent'
+                        },
+                        patterns: [{
+                            from: 'nonexistent.txt'
+                        }]
+                    });
+                })
+                .then((logs) => {
+                    expect(logs).to.deep.equal([]);
+                })
+                .then(done)
+                .catch(done);
+            });
+
+            it('logs a summary of each pattern at info', (done) => {
+                captureLogs(() => {
+                    return run({
+                        compilation: {
+                            assets: {
+                                'nested/nestedfile.txt': {}
+                            }
+                        },
+                        options: {
+                            logLevel: 'info'
+                        },
+                        patterns: [{
+                            from: 'directory'
+                        }]
+                    });
+                })
+                .then((logs) => {
+                    expect(logs).to.deep.equal([
+                        'CopyWebpackPlugin: patterns[0] matched 2 files, copied 1, skipped 1 (3 bytes)'
+                    ]);
+                })
+                .then(done)
+                .catch(done);
+            });
+
+            it('explains the decision for each file at debug', (done) => {
+                const compiler = new MockCompiler();
+                const absFileSrc = path.join(HELPER_DIR, 'file.txt');
+
+                captureLogs(() => {
+                    return run({
+                        compiler,
+                        options: {
+                            logLevel: 'debug'
+                        },
+                        patterns: [{
+                            from: '**/*.txt',
+                            ignore: [
+                                'nestedfile.txt'
+                            ]
+                        }, {
+                            from: 'file.txt'
                         }]
+                    })
+                    .then(() => {
+                        return runAgain(compiler);
+                    });
+                })
+                .then((logs) => {
+                    expect(logs).to.include.members([
+                        'CopyWebpackPlugin: patterns[0] ' + path.join(HELPER_DIR, 'directory', 'nested', 'nestedfile.txt') + ' is ignored',
+                        'CopyWebpackPlugin: patterns[0] ' + absFileSrc + ' is copied to file.txt',
+                        'CopyWebpackPlugin: patterns[1] ' + absFileSrc + ' is skipped, file.txt is already in the compilation',
+                        'CopyWebpackPlugin: patterns[0] ' + absFileSrc + ' is skipped, it is unchanged since the last emit'
+                    ]);
+                })
+                .then(done)
+                .catch(done);
+            });
+        });
+
+        describe('writeToDisk', () => {
+            it('doesn\'t write files to disk by default, even for an in-memory file system', (done) => {
+                const compiler = new MockCompiler();
+
+                compiler.outputFileSystem.constructor = {
+                    name: 'MemoryFileSystem'
+                };
+
+                run({
+                    compiler,
+                    patterns: [{
+                        from: 'file.txt'
+                    }]
+                })
+                .then(() => {
+                    expect(fs.existsSync(path.join(BUILD_DIR, 'file.txt'))).to.equal(false);
+                })
+                .then(done)
+                .catch(done);
+            });
+
+            it('only writes the files accepted by a function to disk', (done) => {
+                run({
+                    options: {
+                        writeToDisk (assetPath) {
+                            return assetPath !== 'file.txt';
+                        }
                     },
                     patterns: [{
-                        from: '.'
+                        from: 'file.txt'
+                    }, {
+                        from: 'directory/directoryfile.txt'
+                    }]
+                })
+                .then(() => {
+                    expect(fs.existsSync(path.join(BUILD_DIR, 'file.txt'))).to.equal(false);
+                    expect(fs.readFileSync(path.join(BUILD_DIR, 'directoryfile.txt'), 'utf8')).to.equal('new');
+                })
+                .finally(() => {
+                    fs.unlinkSync(path.join(BUILD_DIR, 'directoryfile.txt'));
+                    fs.rmdirSync(BUILD_DIR);
+                })
+                .then(done)
+                .catch(done);
+            });
+        });
+
+        describe('preserve', () => {
+            it('preserves the mode and times of files written to disk', (done) => {
+                const newFileLoc = path.join(HELPER_DIR, 'tempscript.sh');
+                const outputFileLoc = path.join(BUILD_DIR, 'tempscript.sh');
+                const mtime = new Date('2001-02-03T04:05:06Z');
+
+                fs.writeFileSync(newFileLoc, 'echo');
+                fs.chmodSync(newFileLoc, 0o755);
+                fs.utimesSync(newFileLoc, mtime, mtime);
+
+                run({
+                    options: {
+                        preserve: {
+                            mode: true,
+                            times: true
+                        },
+                        writeToDisk: true
+                    },
+                    patterns: [{
+                        from: 'tempscript.sh'
+                    }]
+                })
+                .then(() => {
+                    const stat = fs.statSync(outputFileLoc);
+
+                    expect(stat.mode & 0o777).to.equal(0o755);
+                    expect(stat.mtime.getTime()).to.equal(mtime.getTime());
+                })
+                .finally(() => {
+                    fs.unlinkSync(newFileLoc);
+                    fs.unlinkSync(outputFileLoc);
+                    fs.rmdirSync(BUILD_DIR);
+                })
+                .then(done)
+                .catch(done);
+            });
+
+            it('preserves the times of files emitted by webpack', (done) => {
+                const compiler = new MockCompiler();
+                const changedFiles = [];
+
+                compiler.outputFileSystem = {
+                    chmod (filePath, mode, callback) {
+                        changedFiles.push(['chmod', filePath]);
+                        callback();
+                    },
+                    utimes (filePath, atime, mtime, callback) {
+                        changedFiles.push(['utimes', filePath, mtime.getTime()]);
+                        callback();
+                    }
+                };
+
+                run({
+                    compiler,
+                    options: {
+                        preserve: {
+                            times: true
+                        }
+                    },
+                    patterns: [{
+                        from: 'file.txt'
+                    }]
+                })
+                .then(() => {
+                    expect(changedFiles).to.deep.equal([
+                        ['utimes', path.join(BUILD_DIR, 'file.txt'), fs.statSync(path.join(HELPER_DIR, 'file.txt')).mtime.getTime()]
+                    ]);
+                })
+                .then(done)
+                .catch(done);
+            });
+        });
+
+        describe('outputPath', () => {
+            it('overrides the output path of webpack', (done) => {
+                const compiler = new MockCompiler();
+
+                compiler.options.output.path = '/';
+
+                run({
+                    compiler,
+                    options: {
+                        outputPath: BUILD_DIR
+                    },
+                    patterns: [{
+                        from: 'file.txt',
+                        to: path.join(BUILD_DIR, 'newdirectory')
+                    }]
+                })
+                .then((compilation) => {
+                    expect(compilation.assets).to.have.all.keys(['newdirectory/file.txt']);
+                })
+                .then(done)
+                .catch(done);
+            });
+
+            it('doesn\'t need outputPath if the output path of webpack is / and nothing is written to disk', (done) => {
+                const compiler = new MockCompiler();
+
+                compiler.options.output.path = '/';
+
+                run({
+                    compiler,
+                    patterns: [{
+                        from: 'file.txt'
+                    }]
+                })
+                .then((compilation) => {
+                    expect(compilation.assets).to.have.all.keys(['file.txt']);
+                })
+                .then(done)
+                .catch(done);
+            });
+
+            it('throws an error if the output path of webpack is / without outputPath and with writeToDisk', () => {
+                const compiler = new MockCompiler();
+
+                compiler.options.output.path = '/';
+
+                expect(() => {
+                    CopyWebpackPlugin([], {
+                        writeToDisk: true
+                    }).apply(compiler);
+                }).to.throw('the outputPath option or devServer.outputPath must be defined');
+            });
+
+            it('throws an error if the output path of webpack is / without outputPath and to is absolute', () => {
+                const compiler = new MockCompiler();
+
+                compiler.options.output.path = '/';
+
+                expect(() => {
+                    CopyWebpackPlugin([{
+                        from: 'file.txt',
+                        to: path.join(BUILD_DIR, 'file.txt')
+                    }]).apply(compiler);
+                }).to.throw('the outputPath option or devServer.outputPath must be defined');
+            });
+        });
+
+        describe('manifest', () => {
+            it('adds a manifest of the copied files', (done) => {
+                run({
+                    options: {
+                        manifest: 'copy-manifest.json'
+                    },
+                    patterns: [{
+                        from: 'file.txt'
+                    }, {
+                        from: 'directory',
+                        to: 'newdirectory',
+                        transform (content) {
+                            return content.toString() + 'transformed';
+                        }
+                    }]
+                })
+                .then((compilation) => {
+                    const manifest = JSON.parse(compilation.assets['copy-manifest.json'].source().toString());
+
+                    expect(manifest).to.deep.equal([{
+                        from: path.join(HELPER_DIR, 'file.txt'),
+                        hash: md5('new'),
+                        size: 3,
+                        to: 'file.txt'
+                    }, {
+                        from: path.join(HELPER_DIR, 'directory', 'directoryfile.txt'),
+                        hash: md5('newtransformed'),
+                        size: 14,
+                        to: 'newdirectory/directoryfile.txt'
+                    }, {
+                        from: path.join(HELPER_DIR, 'directory', 'nested', 'nestedfile.txt'),
+                        hash: md5('transformed'),
+                        size: 11,
+                        to: 'newdirectory/nested/nestedfile.txt'
+                    }]);
+                })
+                .then(done)
+                .catch(done);
+            });
+
+            it('lists the merged files and generated content in the manifest', (done) => {
+                run({
+                    options: {
+                        manifest: 'copy-manifest.json'
+                    },
+                    patterns: [{
+                        from: ['file.txt', 'directory/directoryfile.txt'],
+                        merge: 'concat',
+                        to: 'merged.txt'
+                    }, {
+                        content: 'User-agent: *',
+                        to: 'robots.txt'
+                    }]
+                })
+                .then((compilation) => {
+                    const manifest = JSON.parse(compilation.assets['copy-manifest.json'].source().toString());
+
+                    expect(_.map(manifest, (entry) => {
+                        return _.pick(entry, ['from', 'sources', 'to']);
+                    })).to.deep.equal([{
+                        from: 'merge:merged.txt',
+                        sources: [
+                            path.join(HELPER_DIR, 'file.txt'),
+                            path.join(HELPER_DIR, 'directory', 'directoryfile.txt')
+                        ],
+                        to: 'merged.txt'
+                    }, {
+                        from: 'content:robots.txt',
+                        to: 'robots.txt'
+                    }]);
+                })
+                .then(done)
+                .catch(done);
+            });
+
+            it('lists unmodified files in the manifest of later emits', (done) => {
+                const compiler = new MockCompiler();
+                const compilation = {
+                    assets: {},
+                    errors: [],
+                    warnings: []
+                };
+
+                run({
+                    compiler,
+                    options: {
+                        manifest: 'copy-manifest.json'
+                    },
+                    patterns: [{
+                        from: 'file.txt'
                     }]
+                })
+                .then(() => {
+                    return new Promise((res) => {
+                        compiler.emitFn(compilation, res);
+                    });
+                })
+                .then(() => {
+                    const manifest = JSON.parse(compilation.assets['copy-manifest.json'].source().toString());
 
+                    expect(compilation.assets).to.have.all.keys(['copy-manifest.json']);
+                    expect(_.map(manifest, 'to')).to.deep.equal(['file.txt']);
                 })
                 .then(done)
                 .catch(done);